@@ -0,0 +1,574 @@
+module.exports = function BlastCookieJar(Blast, Collection) {
+
+	/**
+	 * The CookieJar class in the Develry namespace:
+	 * stores cookies per domain & path
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	var CookieJar = Collection.Function.inherits(null, 'Develry', function CookieJar() {
+
+		// The cookies, by domain, path and name
+		this.cookies = {};
+	});
+
+	/**
+	 * unDry an object
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {CookieJar}
+	 */
+	CookieJar.setStatic(function unDry(obj) {
+
+		var result = new CookieJar();
+
+		result.cookies = obj.cookies;
+
+		return result;
+	});
+
+	/**
+	 * Return an object for json-drying this object.
+	 * Expired cookies are not included.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Object}
+	 */
+	CookieJar.setMethod(function toDry() {
+
+		this.removeExpired();
+
+		return {
+			value: {
+				cookies : this.cookies
+			},
+			path: '__Protoblast.Classes.Develry.CookieJar'
+		};
+	});
+
+	/**
+	 * Store the cookie of a Set-Cookie header.
+	 * The value is stored as-is, so it is sent back unchanged.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}       header   The Set-Cookie header value
+	 * @param    {URL|String}   url      The url that sent the header
+	 *
+	 * @return   {Object|null}  The stored cookie, or null if it was rejected
+	 */
+	CookieJar.setMethod(function setCookie(header, url) {
+
+		var attributes = {},
+		    max_age,
+		    cookie,
+		    paths,
+		    parts,
+		    pair,
+		    name,
+		    key,
+		    i;
+
+		url = parseUrl(url);
+		parts = String(header).split(';');
+
+		// The first pair is the name & value of the cookie
+		pair = splitPair(parts[0]);
+		name = pair[0];
+
+		if (!name) {
+			return null;
+		}
+
+		for (i = 1; i < parts.length; i++) {
+			key = splitPair(parts[i]);
+
+			if (key[0]) {
+				attributes[key[0]] = key[1];
+			}
+		}
+
+		cookie = {
+			name      : name,
+			value     : pair[1],
+			domain    : url.hostname.toLowerCase(),
+			path      : getDefaultPath(url.pathname),
+			expires   : null,
+			secure    : false,
+			http_only : false,
+			same_site : 'lax',
+			host_only : true
+		};
+
+		for (key in attributes) {
+			switch (key.toLowerCase()) {
+				case 'domain':
+					if (attributes[key]) {
+						cookie.domain = String(attributes[key]).toLowerCase().replace(/^\./, '');
+						cookie.host_only = false;
+					}
+					break;
+
+				case 'path':
+					if (attributes[key] && String(attributes[key])[0] == '/') {
+						cookie.path = String(attributes[key]);
+					}
+					break;
+
+				case 'expires':
+					if (max_age == null) {
+						cookie.expires = Date.parse(attributes[key]) || null;
+					}
+					break;
+
+				case 'max-age':
+					max_age = attributes[key] === '' ? NaN : Number(attributes[key]);
+
+					if (!isNaN(max_age)) {
+						cookie.expires = Date.now() + max_age * 1000;
+					}
+					break;
+
+				case 'secure':
+					cookie.secure = true;
+					break;
+
+				case 'httponly':
+					cookie.http_only = true;
+					break;
+
+				case 'samesite':
+					cookie.same_site = String(attributes[key]).toLowerCase();
+					break;
+			}
+		}
+
+		// A cookie can only be set for the domain it came from or a parent domain
+		if (!cookie.host_only && !domainMatches(url.hostname, cookie.domain)) {
+			return null;
+		}
+
+		// Insecure urls can not set secure cookies
+		if (cookie.secure && url.protocol != 'https:') {
+			return null;
+		}
+
+		// SameSite=None cookies have to be secure
+		if (cookie.same_site == 'none' && !cookie.secure) {
+			return null;
+		}
+
+		if (!this.cookies[cookie.domain]) {
+			this.cookies[cookie.domain] = {};
+		}
+
+		paths = this.cookies[cookie.domain];
+
+		if (!paths[cookie.path]) {
+			paths[cookie.path] = {};
+		}
+
+		// Setting an expired cookie removes it
+		if (cookie.expires != null && cookie.expires <= Date.now()) {
+			delete paths[cookie.path][name];
+			return null;
+		}
+
+		paths[cookie.path][name] = cookie;
+
+		return cookie;
+	});
+
+	/**
+	 * Store all the cookies of the given Set-Cookie headers
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array|String}   headers
+	 * @param    {URL|String}     url       The url that sent the headers
+	 */
+	CookieJar.setMethod(function setCookies(headers, url) {
+
+		var i;
+
+		if (!headers) {
+			return;
+		}
+
+		headers = Collection.Array.cast(headers);
+
+		for (i = 0; i < headers.length; i++) {
+			this.setCookie(headers[i], url);
+		}
+	});
+
+	/**
+	 * Get the cookies that should be sent to the given url,
+	 * the ones with the longest path come first.
+	 * When a `site` is given and it differs from the url's site,
+	 * SameSite=Strict cookies are left out and SameSite=Lax cookies
+	 * are only sent with GET and HEAD requests.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {URL|String}   url
+	 * @param    {Object}       options   The `method` and initiating `site`
+	 *
+	 * @return   {Array}
+	 */
+	CookieJar.setMethod(function getCookies(url, options) {
+
+		var cross_site,
+		    result = [],
+		    domain,
+		    method,
+		    cookie,
+		    paths,
+		    path,
+		    name,
+		    now = Date.now();
+
+		url = parseUrl(url);
+
+		if (!options) {
+			options = {};
+		}
+
+		method = String(options.method || 'GET').toUpperCase();
+
+		if (options.site) {
+			cross_site = getSite(parseUrl(options.site)) != getSite(url);
+		}
+
+		for (domain in this.cookies) {
+
+			if (!domainMatches(url.hostname, domain)) {
+				continue;
+			}
+
+			paths = this.cookies[domain];
+
+			for (path in paths) {
+
+				if (!pathMatches(url.pathname || '/', path)) {
+					continue;
+				}
+
+				for (name in paths[path]) {
+					cookie = paths[path][name];
+
+					if (cookie.expires != null && cookie.expires <= now) {
+						delete paths[path][name];
+						continue;
+					}
+
+					if (cookie.host_only && cookie.domain != url.hostname.toLowerCase()) {
+						continue;
+					}
+
+					if (cookie.secure && url.protocol != 'https:') {
+						continue;
+					}
+
+					if (cross_site) {
+						if (cookie.same_site == 'strict') {
+							continue;
+						}
+
+						if (cookie.same_site == 'lax' && method != 'GET' && method != 'HEAD') {
+							continue;
+						}
+					}
+
+					result.push(cookie);
+				}
+			}
+		}
+
+		result.sort(function byPathLength(a, b) {
+			return b.path.length - a.path.length;
+		});
+
+		return result;
+	});
+
+	/**
+	 * Get the value for the Cookie header to send to the given url
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {URL|String}   url
+	 * @param    {Object}       options   See `getCookies`
+	 *
+	 * @return   {String}
+	 */
+	CookieJar.setMethod(function getCookieHeader(url, options) {
+
+		var cookies = this.getCookies(url, options),
+		    result = [],
+		    i;
+
+		for (i = 0; i < cookies.length; i++) {
+			result.push(cookies[i].name + '=' + cookies[i].value);
+		}
+
+		return result.join('; ');
+	});
+
+	/**
+	 * Remove a cookie
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   name
+	 * @param    {String}   domain   Only remove it from this domain
+	 * @param    {String}   path     Only remove it from this path
+	 *
+	 * @return   {Number}   The amount of removed cookies
+	 */
+	CookieJar.setMethod(function removeCookie(name, domain, path) {
+
+		var removed = 0,
+		    paths,
+		    key,
+		    p;
+
+		for (key in this.cookies) {
+
+			if (domain && key != String(domain).toLowerCase()) {
+				continue;
+			}
+
+			paths = this.cookies[key];
+
+			for (p in paths) {
+
+				if (path && p != path) {
+					continue;
+				}
+
+				if (paths[p][name]) {
+					delete paths[p][name];
+					removed++;
+				}
+			}
+		}
+
+		return removed;
+	});
+
+	/**
+	 * Remove all the expired cookies
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	CookieJar.setMethod(function removeExpired() {
+
+		var now = Date.now(),
+		    domain,
+		    cookie,
+		    paths,
+		    path,
+		    name;
+
+		for (domain in this.cookies) {
+			paths = this.cookies[domain];
+
+			for (path in paths) {
+				for (name in paths[path]) {
+					cookie = paths[path][name];
+
+					if (cookie.expires != null && cookie.expires <= now) {
+						delete paths[path][name];
+					}
+				}
+			}
+		}
+	});
+
+	/**
+	 * Remove all the cookies
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	CookieJar.setMethod(function clear() {
+		this.cookies = {};
+	});
+
+	/**
+	 * Parse the given url if it's a string
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {URL|String}   url
+	 *
+	 * @return   {URL}
+	 */
+	function parseUrl(url) {
+
+		if (typeof url == 'string') {
+			return Blast.Bound.URL.parse(url);
+		}
+
+		return url;
+	}
+
+	/**
+	 * Split a `name=value` pair on the first equals sign,
+	 * without decoding the value.
+	 * `String.decodeCookies` can't be used for this: it URI-decodes
+	 * and JSON-parses the values, and a jar has to send them back as received.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   str
+	 *
+	 * @return   {Array}
+	 */
+	function splitPair(str) {
+
+		var index = str.indexOf('=');
+
+		if (index == -1) {
+			return [str.trim(), ''];
+		}
+
+		return [str.slice(0, index).trim(), str.slice(index + 1).trim()];
+	}
+
+	/**
+	 * Get the default path of a cookie set by the given path
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   pathname
+	 *
+	 * @return   {String}
+	 */
+	function getDefaultPath(pathname) {
+
+		var index;
+
+		if (!pathname || pathname[0] != '/') {
+			return '/';
+		}
+
+		index = pathname.lastIndexOf('/');
+
+		if (index < 1) {
+			return '/';
+		}
+
+		return pathname.slice(0, index);
+	}
+
+	/**
+	 * Does the given hostname match the cookie domain?
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   hostname
+	 * @param    {String}   domain
+	 *
+	 * @return   {Boolean}
+	 */
+	function domainMatches(hostname, domain) {
+
+		hostname = String(hostname).toLowerCase();
+
+		if (hostname == domain) {
+			return true;
+		}
+
+		// IP addresses only match themselves
+		if (/^[\d.]+$/.test(hostname) || hostname.indexOf(':') > -1) {
+			return false;
+		}
+
+		// Single-label domains (like "com") can not be used
+		if (domain.indexOf('.') == -1) {
+			return false;
+		}
+
+		return hostname.slice(-domain.length - 1) == '.' + domain;
+	}
+
+	/**
+	 * Does the given request path match the cookie path?
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   pathname
+	 * @param    {String}   path
+	 *
+	 * @return   {Boolean}
+	 */
+	function pathMatches(pathname, path) {
+
+		if (pathname == path) {
+			return true;
+		}
+
+		if (pathname.indexOf(path) !== 0) {
+			return false;
+		}
+
+		return path[path.length - 1] == '/' || pathname[path.length] == '/';
+	}
+
+	/**
+	 * Get the site of the given url:
+	 * the scheme and the last 2 labels of the hostname.
+	 * (This is an approximation, the public suffix list is not used)
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {URL}   url
+	 *
+	 * @return   {String}
+	 */
+	function getSite(url) {
+
+		var hostname = String(url.hostname).toLowerCase();
+
+		if (!/^[\d.]+$/.test(hostname)) {
+			hostname = hostname.split('.').slice(-2).join('.');
+		}
+
+		return url.protocol + '//' + hostname;
+	}
+};
@@ -1,13 +1,15 @@
 module.exports = function BlastDeck(Blast, Collection) {
 
 	/**
-	 * The Deck class: a sorted dictionary
+	 * The Deck class: a sorted dictionary.
+	 * Once something listens to it, it emits `add`, `remove`,
+	 * `update` and `reorder` events.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.2
-	 * @version  0.1.4
+	 * @version  0.4.3
 	 */
-	var Deck = Collection.Function.inherits('Iterator', function Deck() {
+	var Deck = Collection.Function.inherits(['Iterator', 'Informer'], function Deck() {
 		this.dict = {};
 		this.array = [];
 		this._iterSubject = [];
@@ -24,6 +26,17 @@ module.exports = function BlastDeck(Blast, Collection) {
 	 */
 	Deck.setProperty('insertCount', 0);
 
+	/**
+	 * The amount of items with before/after constraints
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type   {Number}
+	 */
+	Deck.setProperty('constraintCount', 0);
+
 	/**
 	 * The values are not sorted at init
 	 *
@@ -58,227 +71,1523 @@ module.exports = function BlastDeck(Blast, Collection) {
 	Deck.setProperty('_iterSubjectIsArray', false);
 
 	/**
-	 * Create a new Deck object
+	 * Create a new Deck object
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.1.4
+	 * @version  0.1.4
+	 *
+	 * @return   {Deck}
+	 */
+	Blast.defineStatic(Deck, 'create', function create() {
+		return new Deck();
+	});
+
+	/**
+	 * unDry an object
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.1.4
+	 * @version  0.4.3
+	 *
+	 * @return   {Object}
+	 */
+	Blast.defineStatic(Deck, 'unDry', function unDry(obj) {
+
+		var result = new Deck(),
+		    key,
+		    i;
+
+		result.dict = obj.dict;
+		result.array = obj.array;
+		result.insertCount = obj.ic;
+
+		// Removed items leave holes in the array
+		for (i = 0; i < obj.array.length; i++) {
+			if (obj.array[i] == null) {
+				delete result.array[i];
+			} else {
+				result._iterSubject.push(obj.array[i]);
+			}
+		}
+
+		for (key in obj.attributes) {
+			result[key] = obj.attributes[key];
+		}
+
+		return result;
+	});
+
+	/**
+	 * Return an object for json-drying this object
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.1.4
+	 * @version  0.4.3
+	 *
+	 * @return   {Object}
+	 */
+	Deck.setMethod('toDry', function toDry() {
+
+		var attributes = {},
+		    keys = Object.keys(this),
+		    key,
+		    i;
+
+		for (i = 0; i < keys.length; i++) {
+			key = keys[i];
+
+			switch (key) {
+				case 'dict':
+				case 'array':
+				case '_iterSubject':
+				case 'insertCount':
+				case 'sorted':
+				case 'sortedItems':
+				case '_iterSubjectIsArray':
+				case '_views':
+				case '_simpleListeners':
+				case '_filterListeners':
+				case '_patternListeners':
+				case '_listenTypes':
+				case '_simpleSeen':
+				case '_filterSeen':
+				case '_max_listeners':
+				case '_warned_types':
+					continue;
+
+				default:
+					attributes[key] = this[key];
+			}
+		}
+
+		return {
+			value: {
+				ic: this.insertCount,
+				dict: this.dict,
+				array: this.array,
+				attributes: attributes
+			},
+			path: '__Protoblast.Classes.Deck'
+		};
+	});
+
+	/**
+	 * The sort function: sort by weight & id
+	 * (or the order of items that have been moved)
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.1.2
+	 * @version  0.4.3
+	 *
+	 * @return   {Number}
+	 */
+	Deck.setMethod('sorter', function sorter(a, b) {
+
+		var a_order,
+		    b_order;
+
+		if (a.weight < b.weight) {
+			return 1;
+		} else if (a.weight > b.weight) {
+			return -1;
+		} else {
+			a_order = a.order == null ? a.id : a.order;
+			b_order = b.order == null ? b.id : b.order;
+
+			// Smaller ids get preference here
+			if (a_order < b_order) {
+				return -1;
+			} else if (a_order > b_order) {
+				return 1;
+			}
+
+			// A moved item can get the order of another item's id
+			return a.id - b.id;
+		}
+	});
+
+	/**
+	 * Set a key-value pair with an optional weight.
+	 * Instead of a weight, an object can be given with the `weight`
+	 * and the keys this value should come `before` and/or `after`.
+	 * (A numeric weight keeps the existing constraints)
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.1.2
+	 * @version  0.4.3
+	 *
+	 * @param    {String}          key
+	 * @param    {Mixed}           value
+	 * @param    {Number|Object}   weight   The weight of this value, default 100
+	 *
+	 * @return   {Number}   The numeric id of the value
+	 */
+	Deck.setMethod(function set(key, value, weight) {
+
+		// See if this key already exists
+		var item = this.dict[key],
+		    change,
+		    options;
+
+		if (weight && typeof weight == 'object') {
+			options = weight;
+			weight = options.weight;
+		}
+
+		if (typeof weight !== 'number') {
+			weight = 100;
+		}
+
+		change = startChange(this, key, !!(options && (options.before || options.after)));
+
+		// If it doesn't: create a new object an up the insert count
+		if (item == null) {
+			item = {
+				id: this.insertCount++,
+				key: key,
+				value: value,
+				weight: weight
+			};
+
+			// Store the new item in the array by its insert id
+			this.array[item.id] = item;
+
+			// And in the dictionary by its key
+			this.dict[key] = item;
+
+			if (options) {
+				setConstraints(this, item, options);
+			}
+
+			insertSortedItem(this, item);
+		} else {
+			// Overwrite the settings if it does exist
+			item.value = value;
+
+			if (item.weight !== weight || options) {
+				removeSortedItem(this, item);
+
+				item.weight = weight;
+
+				if (options) {
+					setConstraints(this, item, options);
+				}
+
+				insertSortedItem(this, item);
+			} else {
+				// The position stays the same, only the values change
+				this.sorted = false;
+			}
+		}
+
+		if (change) {
+			finishChange(this, change);
+		}
+
+		return item.id;
+	});
+
+	/**
+	 * Add a value to the object, without a key
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.1.2
+	 * @version  0.4.3
+	 *
+	 * @param    {Mixed}           value
+	 * @param    {Number|Object}   weight   The weight of this value, default 100
+	 *
+	 * @return   {Number}   The numeric id of the value
+	 */
+	Deck.setMethod(function push(value, weight) {
+
+		// Get the new id
+		var idKey = '_pushed_' + this.insertCount;
+
+		return this.set(idKey, value, weight);
+	});
+
+	/**
+	 * See if the deck has a certain key
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.1.4
+	 * @version  0.1.4
+	 *
+	 * @param    {String}   key
+	 *
+	 * @return   {Boolean}
+	 */
+	Deck.setMethod(function has(key) {
+		return this.dict[key] != null;
+	});
+
+	/**
+	 * Get the value of the wanted key
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.1.2
+	 * @version  0.1.4
+	 *
+	 * @param    {String}   key   The key to get
+	 * @param    {Mixed}    def   Optional default value
+	 *
+	 * @return   {Mixed}
+	 */
+	Deck.setMethod(function get(key, def) {
+		if (this.dict[key] != null) {
+			return this.dict[key].value;
+		}
+
+		if (arguments.length == 2) {
+
+			if (typeof def === 'function') {
+				this.set(key, def());
+			} else {
+				this.set(key, def);
+			}
+
+			return this.dict[key].value;
+		}
+	});
+
+	/**
+	 * Remove the given key
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   key
+	 *
+	 * @return   {Boolean}  True if the key was present
+	 */
+	Deck.setMethod(function remove(key) {
+
+		var item = this.dict[key],
+		    change;
+
+		if (item == null) {
+			return false;
+		}
+
+		change = startChange(this, key);
+
+		removeSortedItem(this, item);
+
+		delete this.dict[key];
+		delete this.array[item.id];
+
+		if (item.before || item.after) {
+			this.constraintCount--;
+		}
+
+		if (change) {
+			finishChange(this, change);
+		}
+
+		return true;
+	});
+
+	/**
+	 * Change the weight of the given key
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   key
+	 * @param    {Number}   weight
+	 *
+	 * @return   {Boolean}  True if the key was present
+	 */
+	Deck.setMethod(function setWeight(key, weight) {
+
+		var item = this.dict[key],
+		    change;
+
+		if (item == null) {
+			return false;
+		}
+
+		change = startChange(this, key);
+
+		removeSortedItem(this, item);
+
+		item.weight = weight;
+		item.order = null;
+
+		insertSortedItem(this, item);
+
+		if (change) {
+			finishChange(this, change);
+		}
+
+		return true;
+	});
+
+	/**
+	 * Move the given key right before the reference key.
+	 * It gets the same weight as the reference.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   key
+	 * @param    {String}   ref
+	 *
+	 * @return   {Boolean}  True if both keys were present
+	 */
+	Deck.setMethod(function moveBefore(key, ref) {
+		return moveItem(this, key, ref, false);
+	});
+
+	/**
+	 * Move the given key right after the reference key.
+	 * It gets the same weight as the reference.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   key
+	 * @param    {String}   ref
+	 *
+	 * @return   {Boolean}  True if both keys were present
+	 */
+	Deck.setMethod(function moveAfter(key, ref) {
+		return moveItem(this, key, ref, true);
+	});
+
+	/**
+	 * Get the position of the given key in the sorted values
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   key
+	 *
+	 * @return   {Number}   The index, or -1 if it isn't present
+	 */
+	Deck.setMethod(function indexOf(key) {
+
+		var item = this.dict[key];
+
+		if (item == null) {
+			return -1;
+		}
+
+		return this.getSortedItems(false).indexOf(item);
+	});
+
+	/**
+	 * Get a part of the sorted values
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   start
+	 * @param    {Number}   end
+	 *
+	 * @return   {Array}
+	 */
+	Deck.setMethod(function slice(start, end) {
+		return this.getSorted(false).slice(start, end);
+	});
+
+	/**
+	 * Create a live view of the sorted values,
+	 * which is kept in sync with this deck
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   filter   Only include values that pass this filter
+	 * @param    {Function}   map      Optional function to map the values
+	 *
+	 * @return   {DeckView}
+	 */
+	Deck.setMethod(function view(filter, map) {
+
+		var view = new DeckView(this, filter, map);
+
+		if (!this._views) {
+			this._views = [];
+		}
+
+		this._views.push(view);
+
+		return view;
+	});
+
+	/**
+	 * The DeckView class:
+	 * a filtered and/or mapped list of the values of a deck.
+	 * It emits `add`, `remove`, `update` and `reorder` events
+	 * with the positions in the view.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Deck}       deck
+	 * @param    {Function}   filter
+	 * @param    {Function}   map
+	 */
+	var DeckView = Collection.Function.inherits('Informer', function DeckView(deck, filter, map) {
+
+		// The deck this is a view of
+		this.deck = deck;
+
+		// The filter & map functions
+		this.filter = filter || null;
+		this.map = map || null;
+
+		// The keys & (mapped) values in the view
+		this.keys = [];
+		this.values = [];
+
+		// The original values, by their key
+		this._sources = Object.create(null);
+
+		// Has this view been destroyed?
+		this.destroyed = false;
+
+		this.refresh();
+	});
+
+	/**
+	 * The amount of values in the view
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {Number}
+	 */
+	DeckView.setProperty(function length() {
+		return this.values.length;
+	});
+
+	/**
+	 * Get a copy of the values in the view
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Array}
+	 */
+	DeckView.setMethod(function getSorted() {
+		return this.values.slice(0);
+	});
+
+	/**
+	 * Get the position of the given key in the view
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   key
+	 *
+	 * @return   {Number}
+	 */
+	DeckView.setMethod(function indexOf(key) {
+		return this.keys.indexOf(key);
+	});
+
+	/**
+	 * Apply the filter to all the values of the deck again.
+	 * Changed entries of the deck are updated automatically,
+	 * but this has to be called when the filter depends on something else.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	DeckView.setMethod(function refresh() {
+
+		var sources = Object.create(null),
+		    before,
+		    after,
+		    items,
+		    item,
+		    i;
+
+		if (this.destroyed) {
+			return;
+		}
+
+		items = this.deck.getSortedItems(false);
+
+		before = {
+			keys   : this.keys,
+			values : Object.create(null)
+		};
+
+		after = {
+			keys   : [],
+			values : Object.create(null)
+		};
+
+		for (i = 0; i < this.keys.length; i++) {
+			before.values[this.keys[i]] = this.values[i];
+		}
+
+		for (i = 0; i < items.length; i++) {
+			item = items[i];
+
+			if (this.filter && !this.filter(item.value, item.key, item)) {
+				continue;
+			}
+
+			after.keys.push(item.key);
+			sources[item.key] = item.value;
+
+			// Only map values that have changed
+			if (item.key in this._sources && this._sources[item.key] === item.value) {
+				after.values[item.key] = before.values[item.key];
+			} else if (this.map) {
+				after.values[item.key] = this.map(item.value, item.key, item);
+			} else {
+				after.values[item.key] = item.value;
+			}
+		}
+
+		this.keys = after.keys;
+		this.values = [];
+		this._sources = sources;
+
+		for (i = 0; i < after.keys.length; i++) {
+			this.values.push(after.values[after.keys[i]]);
+		}
+
+		if (hasListeners(this)) {
+			emitDiff(this, before, after);
+		}
+	});
+
+	/**
+	 * Stop keeping this view in sync
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	DeckView.setMethod(function destroy() {
+
+		var index;
+
+		if (this.destroyed) {
+			return;
+		}
+
+		this.destroyed = true;
+
+		if (this.deck._views) {
+			index = this.deck._views.indexOf(this);
+
+			if (index > -1) {
+				this.deck._views.splice(index, 1);
+			}
+		}
+	});
+
+	/**
+	 * Does the given informer have listeners?
+	 * (Without creating the listener objects)
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}   informer
+	 *
+	 * @return   {Boolean}
+	 */
+	function hasListeners(informer) {
+		return !!(informer._listenTypes && informer._listenTypes.length);
+	}
+
+	/**
+	 * Does the deck have listeners or views to keep in sync?
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Deck}   deck
+	 *
+	 * @return   {Boolean}
+	 */
+	function isObserved(deck) {
+		return hasListeners(deck) || !!(deck._views && deck._views.length);
+	}
+
+	/**
+	 * Get the keys & values of the sorted items
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Deck}   deck
+	 *
+	 * @return   {Object}
+	 */
+	function getSnapshot(deck) {
+
+		var items = deck.getSortedItems(false),
+		    result,
+		    i;
+
+		result = {
+			keys   : [],
+			values : Object.create(null)
+		};
+
+		for (i = 0; i < items.length; i++) {
+			result.keys.push(items[i].key);
+			result.values[items[i].key] = items[i].value;
+		}
+
+		return result;
+	}
+
+	/**
+	 * Remember the position & value of the given key of an observed deck,
+	 * before it is changed.
+	 * Other items can only move along when there are constraints
+	 * (before or after the change), only then all the keys are remembered.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Deck}      deck
+	 * @param    {String}    key
+	 * @param    {Boolean}   constrain   Will the item get constraints?
+	 *
+	 * @return   {Object|null}   Null if nothing observes the deck
+	 */
+	function startChange(deck, key, constrain) {
+
+		var item = deck.dict[key];
+
+		if (!isObserved(deck)) {
+			return null;
+		}
+
+		return {
+			key      : key,
+			value    : item ? item.value : undefined,
+			index    : item ? deck.getSortedItems(false).indexOf(item) : -1,
+			snapshot : deck.constraintCount || constrain ? getSnapshot(deck) : null
+		};
+	}
+
+	/**
+	 * Emit the changes of the given key & update the views
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Deck}     deck
+	 * @param    {Object}   change   The object created by `startChange`
+	 */
+	function finishChange(deck, change) {
+
+		var item = deck.dict[change.key],
+		    index = -1,
+		    views,
+		    i;
+
+		if (change.snapshot) {
+			if (hasListeners(deck)) {
+				emitDiff(deck, change.snapshot, getSnapshot(deck));
+			}
+		} else if (hasListeners(deck)) {
+
+			if (item) {
+				index = deck.getSortedItems(false).indexOf(item);
+			}
+
+			emitChange(deck, change.key, change.index, index, change.value, item ? item.value : undefined);
+		}
+
+		if (deck._views) {
+			views = deck._views.slice(0);
+
+			for (i = 0; i < views.length; i++) {
+
+				// Only without constraints the views can use the sorter
+				if (change.snapshot) {
+					views[i].refresh();
+				} else {
+					updateView(views[i], change.key, item);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Emit the event for a single key that moved, changed,
+	 * was added or removed
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}   target
+	 * @param    {String}     key
+	 * @param    {Number}     from        The old index, or -1
+	 * @param    {Number}     to          The new index, or -1
+	 * @param    {Mixed}      old_value
+	 * @param    {Mixed}      value
+	 */
+	function emitChange(target, key, from, to, old_value, value) {
+
+		if (from == -1) {
+			if (to > -1) {
+				target.emit('add', key, value, to);
+			}
+
+			return;
+		}
+
+		if (to == -1) {
+			return target.emit('remove', key, old_value, from);
+		}
+
+		if (from !== to) {
+			target.emit('reorder', key, from, to);
+		}
+
+		if (old_value !== value) {
+			target.emit('update', key, value, old_value, to);
+		}
+	}
+
+	/**
+	 * Update the entry of the given key in the view,
+	 * without filtering & mapping the other entries again
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {DeckView}   view
+	 * @param    {String}     key
+	 * @param    {Object}     item    The item in the deck, if there is one
+	 */
+	function updateView(view, key, item) {
+
+		var old_value,
+		    source,
+		    value,
+		    from = -1,
+		    to = -1;
+
+		if (view.destroyed) {
+			return;
+		}
+
+		if (key in view._sources) {
+			from = view.keys.indexOf(key);
+			source = view._sources[key];
+			old_value = view.values[from];
+
+			view.keys.splice(from, 1);
+			view.values.splice(from, 1);
+			delete view._sources[key];
+		}
+
+		if (item && (!view.filter || view.filter(item.value, key, item))) {
+
+			// Only map values that have changed
+			if (from > -1 && source === item.value) {
+				value = old_value;
+			} else if (view.map) {
+				value = view.map(item.value, key, item);
+			} else {
+				value = item.value;
+			}
+
+			to = getViewIndex(view, item);
+
+			view.keys.splice(to, 0, key);
+			view.values.splice(to, 0, value);
+			view._sources[key] = item.value;
+		}
+
+		if (hasListeners(view)) {
+			emitChange(view, key, from, to, old_value, value);
+		}
+	}
+
+	/**
+	 * Get the position the given item should have in the view,
+	 * using a binary search
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {DeckView}   view
+	 * @param    {Object}     item
+	 *
+	 * @return   {Number}
+	 */
+	function getViewIndex(view, item) {
+
+		var deck = view.deck,
+		    low = 0,
+		    high = view.keys.length,
+		    mid;
+
+		while (low < high) {
+			mid = (low + high) >>> 1;
+
+			if (deck.sorter(deck.dict[view.keys[mid]], item) <= 0) {
+				low = mid + 1;
+			} else {
+				high = mid;
+			}
+		}
+
+		return low;
+	}
+
+	/**
+	 * Emit the `remove`, `add`, `reorder` and `update` events
+	 * needed to go from one list of keys to the other.
+	 * The positions are correct when the events are applied in order.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}   target
+	 * @param    {Object}     before   The old `keys` & `values`
+	 * @param    {Object}     after    The new `keys` & `values`
+	 */
+	function emitDiff(target, before, after) {
+
+		var positions = Object.create(null),
+		    initial = Object.create(null),
+		    final = Object.create(null),
+		    slots = Object.create(null),
+		    pending = [],
+		    current = [],
+		    groups = [],
+		    stable,
+		    ranks,
+		    rank = 0,
+		    from,
+		    key,
+		    to,
+		    i,
+		    j;
+
+		for (i = 0; i < after.keys.length; i++) {
+			positions[after.keys[i]] = i;
+		}
+
+		// Removed keys go first
+		for (i = 0; i < before.keys.length; i++) {
+			key = before.keys[i];
+
+			if (positions[key] == null) {
+				target.emit('remove', key, before.values[key], current.length);
+			} else {
+				slots[key] = current.length;
+				current.push(key);
+			}
+		}
+
+		// The keys that are still in the same order don't have to move
+		stable = getStableKeys(current, positions);
+
+		// All the other keys end up right in front of the next stable key
+		for (i = 0; i < after.keys.length; i++) {
+			key = after.keys[i];
+
+			if (stable[key]) {
+				groups[slots[key]] = pending;
+				pending = [];
+			} else {
+				pending.push(key);
+			}
+		}
+
+		groups[current.length] = pending;
+
+		// Number the old & new places of the keys in the order they'll have
+		for (i = 0; i <= current.length; i++) {
+
+			for (j = 0; groups[i] && j < groups[i].length; j++) {
+				final[groups[i][j]] = rank++;
+			}
+
+			if (i < current.length) {
+				key = current[i];
+				initial[key] = rank;
+
+				if (stable[key]) {
+					final[key] = rank;
+				}
+
+				rank++;
+			}
+		}
+
+		ranks = createRankTree(rank);
+
+		for (i = 0; i < current.length; i++) {
+			addRank(ranks, initial[current[i]], 1);
+		}
+
+		// Place all the other keys in front of the key that follows them,
+		// starting at the end
+		for (i = after.keys.length - 1; i >= 0; i--) {
+			key = after.keys[i];
+
+			if (stable[key]) {
+				continue;
+			}
+
+			if (key in initial) {
+				from = countRanks(ranks, initial[key]);
+				addRank(ranks, initial[key], -1);
+			} else {
+				from = -1;
+			}
+
+			to = countRanks(ranks, final[key]);
+			addRank(ranks, final[key], 1);
+
+			if (from == -1) {
+				target.emit('add', key, after.values[key], to);
+			} else if (from !== to) {
+				target.emit('reorder', key, from, to);
+			}
+		}
+
+		for (i = 0; i < after.keys.length; i++) {
+			key = after.keys[i];
+
+			if (key in before.values && before.values[key] !== after.values[key]) {
+				target.emit('update', key, after.values[key], before.values[key], i);
+			}
+		}
+	}
+
+	/**
+	 * Create a binary indexed tree,
+	 * used to count the taken places in front of a place
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   size
+	 *
+	 * @return   {Array}
+	 */
+	function createRankTree(size) {
+
+		var result = [],
+		    i;
+
+		for (i = 0; i <= size; i++) {
+			result.push(0);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Take (or free) the given place in the tree
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.1.4
-	 * @version  0.1.4
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @return   {Deck}
+	 * @param    {Array}    tree
+	 * @param    {Number}   rank
+	 * @param    {Number}   amount   1 to take, -1 to free the place
 	 */
-	Blast.defineStatic(Deck, 'create', function create() {
-		return new Deck();
-	});
+	function addRank(tree, rank, amount) {
+		for (rank++; rank < tree.length; rank += rank & -rank) {
+			tree[rank] += amount;
+		}
+	}
 
 	/**
-	 * unDry an object
+	 * Count the taken places in front of the given place
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.1.4
-	 * @version  0.1.11
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @return   {Object}
+	 * @param    {Array}    tree
+	 * @param    {Number}   rank
+	 *
+	 * @return   {Number}
 	 */
-	Blast.defineStatic(Deck, 'unDry', function unDry(obj) {
+	function countRanks(tree, rank) {
 
-		var result = new Deck(),
-		    key;
-
-		result.dict = obj.dict;
-		result.array = obj.array;
-		result._iterSubject = obj.array.slice(0);
-		result.insertCount = obj.ic;
+		var result = 0;
 
-		for (key in obj.attributes) {
-			result[key] = obj.attributes[key];
+		for (; rank > 0; rank -= rank & -rank) {
+			result += tree[rank];
 		}
 
 		return result;
-	});
+	}
 
 	/**
-	 * Return an object for json-drying this object
+	 * Get the longest list of keys that are already in the wanted order
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.1.4
-	 * @version  0.1.11
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}    keys        The current keys
+	 * @param    {Object}   positions   The wanted position of each key
 	 *
 	 * @return   {Object}
 	 */
-	Deck.setMethod('toDry', function toDry() {
-
-		var attributes = {},
-		    keys = Object.keys(this),
-		    key,
+	function getStableKeys(keys, positions) {
+
+		var predecessors = [],
+		    result = Object.create(null),
+		    tails = [],
+		    index,
+		    high,
+		    low,
+		    mid,
 		    i;
 
 		for (i = 0; i < keys.length; i++) {
-			key = keys[i];
+			low = 0;
+			high = tails.length;
 
-			switch (key) {
-				case 'dict':
-				case 'array':
-				case '_iterSubject':
-				case 'insertCount':
-				case 'sorted':
-				case 'sortedItems':
-				case '_iterSubjectIsArray':
-					continue;
+			while (low < high) {
+				mid = (low + high) >>> 1;
 
-				default:
-					attributes[key] = this[key];
+				if (positions[keys[tails[mid]]] < positions[keys[i]]) {
+					low = mid + 1;
+				} else {
+					high = mid;
+				}
 			}
+
+			predecessors[i] = low > 0 ? tails[low - 1] : -1;
+			tails[low] = i;
 		}
 
-		return {
-			value: {
-				ic: this.insertCount,
-				dict: this.dict,
-				array: this.array,
-				attributes: attributes
-			},
-			path: '__Protoblast.Classes.Deck'
-		};
-	});
+		index = tails.length ? tails[tails.length - 1] : -1;
+
+		while (index > -1) {
+			result[keys[index]] = true;
+			index = predecessors[index];
+		}
+
+		return result;
+	}
 
 	/**
-	 * The sort function: sort by weight & id
+	 * Set the before/after constraints of an item
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.1.2
-	 * @version  0.1.4
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @return   {Number}
+	 * @param    {Deck}     deck
+	 * @param    {Object}   item
+	 * @param    {Object}   options
 	 */
-	Deck.setMethod('sorter', function sorter(a, b) {
-		if (a.weight < b.weight) {
-			return 1;
-		} else if (a.weight > b.weight) {
-			return -1;
-		} else {
-			// Smaller ids get preference here
-			if (a.id < b.id) {
-				return -1;
-			} else if (a.id > b.id) {
-				return 1;
+	function setConstraints(deck, item, options) {
+
+		var had_constraints = !!(item.before || item.after),
+		    type,
+		    list,
+		    i;
+
+		for (i = 0; i < 2; i++) {
+			type = i ? 'after' : 'before';
+			list = options[type] == null ? [] : Collection.Array.cast(options[type]);
+
+			// Only store the constraints when there are any
+			if (list.length) {
+				item[type] = list;
 			} else {
-				return 0;
+				delete item[type];
 			}
 		}
-	});
+
+		if (item.before || item.after) {
+			if (!had_constraints) {
+				deck.constraintCount++;
+			}
+		} else if (had_constraints) {
+			deck.constraintCount--;
+		}
+	}
 
 	/**
-	 * Set a key-value pair with an optional weight
+	 * Reorder the weight-sorted items so all before/after constraints
+	 * are met, while moving the constrained items as little as possible:
+	 * an item that has to come before another one is placed right before it,
+	 * an item that has to come after another one right after it
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.1.2
-	 * @version  0.1.4
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @param    {String}   key
-	 * @param    {Mixed}    value
-	 * @param    {Number}   weight   The weight of this value, default 100
+	 * @param    {Array}   items   The items sorted by weight
 	 *
-	 * @return   {Number}   The numeric id of the value
+	 * @return   {Array}
 	 */
-	Deck.setMethod(function set(key, value, weight) {
+	function sortByConstraints(items) {
+
+		var positions = {},
+		    visiting = [],
+		    emitted = [],
+		    waiters = [],
+		    pullers = [],
+		    waiting = [],
+		    deferred = [],
+		    result = [],
+		    after = [],
+		    path = [],
+		    item,
+		    ref,
+		    i,
+		    j;
 
-		// See if this key already exists
-		var item = this.dict[key];
+		for (i = 0; i < items.length; i++) {
+			positions[items[i].key] = i;
+			pullers[i] = [];
+			waiters[i] = [];
+			after[i] = [];
+		}
 
-		if (typeof weight !== 'number') {
-			weight = 100;
+		for (i = 0; i < items.length; i++) {
+			item = items[i];
+
+			// Items that have to come before the reference are pulled in front of it
+			for (j = 0; item.before && j < item.before.length; j++) {
+				ref = positions[item.before[j]];
+
+				// Constraints on keys that aren't present are ignored
+				if (ref != null && ref !== i) {
+					pullers[ref].push(i);
+				}
+			}
+
+			// Items that have to come after the reference wait for it
+			for (j = 0; item.after && j < item.after.length; j++) {
+				ref = positions[item.after[j]];
+
+				if (ref != null && ref !== i) {
+					after[i].push(ref);
+					waiters[ref].push(i);
+				}
+			}
 		}
 
-		// If it doesn't: create a new object an up the insert count
-		if (item == null) {
-			item = {
-				id: this.insertCount++,
-				key: key,
-				value: value,
-				weight: weight
-			};
+		// Are all the references the item has to come after placed?
+		function isReady(index) {
 
-			// Store the new item in the array by its insert id
-			this.array[item.id] = item;
-			this._iterSubject.push(item);
+			var i;
 
-			// And in the dictionary by its key
-			this.dict[key] = item;
-		} else {
-			// Overwrite the settings if it does exist
-			item.value = value;
-			item.weight = weight;
+			for (i = 0; i < after[index].length; i++) {
+				if (!emitted[after[index][i]]) {
+					return false;
+				}
+			}
+
+			return true;
 		}
 
-		// Clear the sorted items
-		this.sorted = this.sortedItems = false;
+		// Does the item have to come after an item that is still being placed?
+		function isBlocked(index, seen) {
 
-		return item.id;
-	});
+			var i;
+
+			if (emitted[index] || seen[index]) {
+				return false;
+			}
+
+			if (visiting[index]) {
+				return true;
+			}
+
+			seen[index] = true;
+
+			for (i = 0; i < pullers[index].length; i++) {
+				if (isBlocked(pullers[index][i], seen)) {
+					return true;
+				}
+			}
+
+			for (i = 0; i < after[index].length; i++) {
+				if (isBlocked(after[index][i], seen)) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+
+		// Place the item, after everything that has to come before it
+		function place(index) {
+
+			var waiter,
+			    i;
+
+			if (emitted[index]) {
+				return;
+			}
+
+			if (visiting[index]) {
+				throw createCycleError(items, path.slice(path.indexOf(index)));
+			}
+
+			visiting[index] = true;
+			path.push(index);
+
+			for (i = 0; i < pullers[index].length; i++) {
+				place(pullers[index][i]);
+			}
+
+			for (i = 0; i < after[index].length; i++) {
+				place(after[index][i]);
+			}
+
+			path.pop();
+			visiting[index] = false;
+			emitted[index] = true;
+			result.push(items[index]);
+
+			// Place the items that were waiting for this one right after it.
+			// Items that also have to come after an item that is still
+			// being placed are deferred until that one has been placed
+			for (i = 0; i < waiters[index].length; i++) {
+				waiter = waiters[index][i];
+
+				if (waiting[waiter] && isReady(waiter)) {
+					if (isBlocked(waiter, [])) {
+						deferred.push(waiter);
+					} else {
+						place(waiter);
+					}
+				}
+			}
+
+			for (i = 0; i < deferred.length; i++) {
+				waiter = deferred[i];
+
+				if (emitted[waiter]) {
+					deferred.splice(i--, 1);
+				} else if (!isBlocked(waiter, [])) {
+					deferred.splice(i--, 1);
+					place(waiter);
+				}
+			}
+		}
+
+		for (i = 0; i < items.length; i++) {
+			if (isReady(i)) {
+				place(i);
+			} else {
+				waiting[i] = true;
+			}
+		}
+
+		// Only items in a cycle can still be waiting
+		for (i = 0; i < items.length; i++) {
+			place(i);
+		}
+
+		return result;
+	}
 
 	/**
-	 * Add a value to the object, without a key
+	 * Create the error for constraints that contain a cycle
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.1.2
-	 * @version  0.1.4
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @param    {Mixed}    value
-	 * @param    {Number}   weight   The weight of this value, default 100
+	 * @param    {Array}   items
+	 * @param    {Array}   path    The positions in the cycle, each one
+	 *                             has to come after the next one
 	 *
-	 * @return   {Number}   The numeric id of the value
+	 * @return   {Error}
 	 */
-	Deck.setMethod(function push(value, weight) {
+	function createCycleError(items, path) {
 
-		// Get the new id
-		var idKey = '_pushed_' + this.insertCount;
+		var cycle = path.slice(0).reverse(),
+		    index,
+		    keys,
+		    err;
 
-		return this.set(idKey, value, weight);
-	});
+		// Start the cycle at the item that comes first by weight
+		index = cycle.indexOf(Math.min.apply(Math, cycle));
+		cycle = cycle.slice(index).concat(cycle.slice(0, index));
+		cycle.push(cycle[0]);
+
+		keys = cycle.map(function getKey(index) {
+			return items[index].key;
+		});
+
+		err = new Error('The Deck ordering constraints contain a cycle: ' + keys.join(' -> '));
+		err.cycle = keys;
+
+		return err;
+	}
 
 	/**
-	 * See if the deck has a certain key
+	 * Move an item before or after the reference item
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.1.4
-	 * @version  0.1.4
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @param    {String}   key
+	 * @param    {Deck}      deck
+	 * @param    {String}    key
+	 * @param    {String}    ref
+	 * @param    {Boolean}   after
 	 *
 	 * @return   {Boolean}
 	 */
-	Deck.setMethod(function has(key) {
-		return this.dict[key] != null;
-	});
+	function moveItem(deck, key, ref, after) {
+
+		var ref_order,
+		    neighbour,
+		    change,
+		    items,
+		    item = deck.dict[key],
+		    ref_item = deck.dict[ref],
+		    index;
+
+		if (item == null || ref_item == null || item === ref_item) {
+			return false;
+		}
+
+		change = startChange(deck, key);
+
+		removeSortedItem(deck, item);
+
+		items = deck.getSortedItems(false);
+		index = items.indexOf(ref_item);
+		ref_order = ref_item.order == null ? ref_item.id : ref_item.order;
+
+		neighbour = items[after ? index + 1 : index - 1];
+
+		item.weight = ref_item.weight;
+
+		// Put the order between the reference and its neighbour
+		// when they have the same weight
+		if (neighbour && neighbour.weight === ref_item.weight) {
+			item.order = (ref_order + (neighbour.order == null ? neighbour.id : neighbour.order)) / 2;
+		} else {
+			item.order = after ? ref_order + 1 : ref_order - 1;
+		}
+
+		insertSortedItem(deck, item);
+
+		if (change) {
+			finishChange(deck, change);
+		}
+
+		return true;
+	}
 
 	/**
-	 * Get the value of the wanted key
+	 * Remove an item from the (sorted) items & values
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.1.2
-	 * @version  0.1.4
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @param    {String}   key   The key to get
-	 * @param    {Mixed}    def   Optional default value
+	 * @param    {Deck}     deck
+	 * @param    {Object}   item
+	 */
+	function removeSortedItem(deck, item) {
+
+		var index = deck._iterSubject.indexOf(item);
+
+		if (index == -1) {
+			return;
+		}
+
+		// The constraints can change the order of other items too
+		if (deck.constraintCount || item.before || item.after) {
+			deck._iterSubject.splice(index, 1);
+			deck.sorted = deck.sortedItems = false;
+			return;
+		}
+
+		deck._iterSubject.splice(index, 1);
+
+		// The values are only cached when the items are sorted
+		if (deck.sortedItems && deck.sorted) {
+			deck.sorted.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Insert an item in the (sorted) items & values,
+	 * without sorting everything again
 	 *
-	 * @return   {Mixed}
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Deck}     deck
+	 * @param    {Object}   item
 	 */
-	Deck.setMethod(function get(key, def) {
-		if (this.dict[key] != null) {
-			return this.dict[key].value;
+	function insertSortedItem(deck, item) {
+
+		var items = deck._iterSubject,
+		    low = 0,
+		    high = items.length,
+		    mid;
+
+		if (!deck.sortedItems || deck.constraintCount) {
+			items.push(item);
+			deck.sorted = deck.sortedItems = false;
+			return;
 		}
 
-		if (arguments.length == 2) {
+		// Find the position using a binary search
+		while (low < high) {
+			mid = (low + high) >>> 1;
 
-			if (typeof def === 'function') {
-				this.set(key, def());
+			if (deck.sorter(items[mid], item) <= 0) {
+				low = mid + 1;
 			} else {
-				this.set(key, def);
+				high = mid;
 			}
+		}
 
-			return this.dict[key].value;
+		items.splice(low, 0, item);
+
+		if (deck.sorted) {
+			deck.sorted.splice(low, 0, item.value);
 		}
-	});
+	}
 
 	/**
 	 * Get the value by id (or insert order)
@@ -302,7 +1611,7 @@ module.exports = function BlastDeck(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.11
-	 * @version  0.1.11
+	 * @version  0.4.3
 	 *
 	 * @param    {Mixed}    key_value
 	 * @param    {Boolean}  recursive   Look through other decks? [true]
@@ -323,6 +1632,12 @@ module.exports = function BlastDeck(Blast, Collection) {
 		// Go over entry in this deck
 		for (i = 0; i < this.array.length; i++) {
 			entry = this.array[i];
+
+			// Skip removed items
+			if (!entry) {
+				continue;
+			}
+
 			val = entry.value;
 
 			if (entry.key === key_value) {
@@ -399,11 +1714,14 @@ module.exports = function BlastDeck(Blast, Collection) {
 	});
 
 	/**
-	 * Get the sorted internal items
+	 * Get the sorted internal items.
+	 * Items are sorted by weight & insert order,
+	 * and then moved to satisfy their before/after constraints.
+	 * Throws an error when the constraints contain a cycle.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.2
-	 * @version  0.1.4
+	 * @version  0.4.3
 	 *
 	 * @param    {Boolean}   slice   Slice the array before returning (true)
 	 *
@@ -416,6 +1734,10 @@ module.exports = function BlastDeck(Blast, Collection) {
 			// Sort the iterator subject array values
 			this._iterSubject.sort(this.sorter);
 
+			if (this.constraintCount) {
+				this._iterSubject = sortByConstraints(this._iterSubject);
+			}
+
 			this.sortedItems = true;
 		}
 
@@ -527,6 +1849,39 @@ module.exports = function BlastDeck(Blast, Collection) {
 		return Collection.Array.prototype.createIterator.call(items);
 	});
 
+	/**
+	 * Iterate over a new iterator of the sorted values
+	 * in `for...of` loops
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Iterator}
+	 */
+	if (typeof Symbol == 'function') {
+		Deck.setMethod(Symbol.iterator, function iterator() {
+			return this.createIterator();
+		});
+	}
+
+	/**
+	 * The Iterator combinators work on a new iterator of the sorted values,
+	 * so they can be used multiple times without consuming the deck's cursor
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	['map', 'filter', 'take', 'skip', 'takeWhile', 'chunk', 'zip', 'flatMap', 'reduce', 'toArray'].forEach(function eachName(name) {
+		Deck.setMethod(name, function combinator() {
+
+			var iterator = this.createIterator();
+
+			return iterator[name].apply(iterator, arguments);
+		});
+	});
+
 	/**
 	 * Return the next item (sorts items first)
 	 *
@@ -559,7 +1914,7 @@ module.exports = function BlastDeck(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.4
-	 * @version  0.1.4
+	 * @version  0.4.3
 	 *
 	 * @return   {Deck}
 	 */
@@ -567,6 +1922,7 @@ module.exports = function BlastDeck(Blast, Collection) {
 
 		var result,
 		    items,
+		    item,
 		    i;
 
 		// Get the sorted internal items
@@ -576,9 +1932,21 @@ module.exports = function BlastDeck(Blast, Collection) {
 		result = new Deck();
 
 		for (i = 0; i < items.length; i++) {
-			result.set(items[i].key, items[i].value, items[i].weight);
+			item = items[i];
+
+			result.set(item.key, item.value, {
+				weight : item.weight,
+				before : item.before,
+				after  : item.after
+			});
+
+			// Keep the order of items with the same weight,
+			// also for items that are added to the clone later
+			result.dict[item.key].order = item.order == null ? item.id : item.order;
 		}
 
+		result.insertCount = Math.max(result.insertCount, this.insertCount);
+
 		return result;
 	});
 
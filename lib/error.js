@@ -37,4 +37,148 @@ module.exports = function BlastError(Blast, Collection) {
 		};
 	});
 
+	/**
+	 * The TimeoutError class:
+	 * used when something did not finish in time
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   message
+	 * @param    {Number}   timeout   The amount of ms that was waited
+	 */
+	var TimeoutError = Collection.Function.inherits('Error', function TimeoutError(message, timeout) {
+
+		if (timeout == null && typeof message == 'number') {
+			timeout = message;
+			message = null;
+		}
+
+		this.message = message || 'Timeout of ' + timeout + 'ms was reached';
+		this.timeout = timeout;
+
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, TimeoutError);
+		} else {
+			this.stack = (new Error(this.message)).stack;
+		}
+	});
+
+	/**
+	 * The name of this error type
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {String}
+	 */
+	TimeoutError.setProperty('name', 'TimeoutError');
+
+	/**
+	 * Revive a JSON-dried timeout error
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {TimeoutError}
+	 */
+	TimeoutError.setStatic(function unDry(obj) {
+
+		var result = new TimeoutError(obj.message, obj.timeout);
+
+		result.stack = obj.stack;
+
+		return result;
+	});
+
+	/**
+	 * Return an object for json-drying this error
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Object}
+	 */
+	TimeoutError.setMethod(function toDry() {
+
+		var result = Collection.Error.prototype.toDry.call(this);
+
+		result.value.timeout = this.timeout;
+		result.path = '__Protoblast.Classes.TimeoutError';
+
+		return result;
+	});
+
+	/**
+	 * The AbortError class:
+	 * used when something was aborted before it could finish
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   message
+	 */
+	var AbortError = Collection.Function.inherits('Error', function AbortError(message) {
+
+		this.message = message || 'The operation was aborted';
+		this.code = 'ABORT_ERR';
+
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, AbortError);
+		} else {
+			this.stack = (new Error(this.message)).stack;
+		}
+	});
+
+	/**
+	 * The name of this error type
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {String}
+	 */
+	AbortError.setProperty('name', 'AbortError');
+
+	/**
+	 * Revive a JSON-dried abort error
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {AbortError}
+	 */
+	AbortError.setStatic(function unDry(obj) {
+
+		var result = new AbortError(obj.message);
+
+		result.stack = obj.stack;
+
+		return result;
+	});
+
+	/**
+	 * Return an object for json-drying this error
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Object}
+	 */
+	AbortError.setMethod(function toDry() {
+
+		var result = Collection.Error.prototype.toDry.call(this);
+
+		result.path = '__Protoblast.Classes.AbortError';
+
+		return result;
+	});
 };
\ No newline at end of file
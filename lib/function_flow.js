@@ -94,7 +94,7 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@kipdola.be>
 	 * @since    0.1.2
-	 * @version  0.4.1
+	 * @version  0.4.3
 	 *
 	 * @param    {Boolean}   _forceAsync   Force asynchronous behaviour [TRUE]
 	 * @param    {Array}     _tasks        Tasks to perform
@@ -196,6 +196,12 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 				return;
 			}
 
+			// Don't schedule any more tasks once the pledge is cancelled
+			if (pledge.state === 3) {
+				stop = true;
+				return;
+			}
+
 			// If we get an error object, stop everything
 			if (err) {
 				stop = true;
@@ -218,6 +224,10 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 			if (tasks[next]) {
 				scheduler(function nextSerialTask() {
 
+					if (pledge.state === 3) {
+						return;
+					}
+
 					try {
 						tasks[next](handler);
 					} catch (err) {
@@ -237,6 +247,10 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 
 					var temp;
 
+					if (pledge.state === 3) {
+						return;
+					}
+
 					temp = callback(null, results);
 
 					if (typeof temp != 'undefined') {
@@ -259,7 +273,7 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@kipdola.be>
 	 * @since    0.1.2
-	 * @version  0.4.1
+	 * @version  0.4.3
 	 */
 	Blast.defineStatic('Function', 'parallel', function parallel(_forceAsync, _limit, _tasks, _callback) {
 
@@ -393,6 +407,12 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 				return;
 			}
 
+			// Don't start any more tasks once the pledge is cancelled
+			if (pledge.state === 3) {
+				stop = true;
+				return;
+			}
+
 			running--;
 
 			// If we get an error object, stop everything
@@ -415,6 +435,11 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 				next = started++;
 
 				scheduler(function scheduleNextTask() {
+
+					if (pledge.state === 3) {
+						return;
+					}
+
 					try {
 						tasks[next](function nextHandler(err, val) {
 							handler(next, err, val);
@@ -445,6 +470,10 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 			// Execute the function
 			scheduler(function scheduleNextTask() {
 
+				if (pledge.state === 3) {
+					return;
+				}
+
 				try {
 					fnc(function nextHandler(err, val) {
 						handler(index, err, val);
@@ -475,6 +504,10 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 
 			var temp;
 
+			if (pledge.state === 3) {
+				return;
+			}
+
 			temp = callback(null, results);
 
 			if (typeof temp != 'undefined') {
@@ -973,19 +1006,41 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 	});
 
 	/**
-	 * Make sure the callback can only be called a given amount of times
+	 * Make sure the callback can only be called a given amount of times.
+	 * When given rate limit options (or a `Develry.RateLimiter`),
+	 * calls that exceed the rate are ignored.
 	 *
 	 * @author   Jelle De Loecker   <jelle@kipdola.be>
 	 * @since    0.1.6
-	 * @version  0.1.6
+	 * @version  0.4.3
 	 *
-	 * @param    {Function}   fnc
+	 * @param    {Function}          fnc
+	 * @param    {Number|Object}     amount
 	 *
 	 * @return   {Function}
 	 */
 	Blast.defineStatic('Function', 'regulate', function regulate(fnc, amount) {
 
-		var count = 0;
+		var limiter,
+		    wrapper,
+		    count = 0;
+
+		if (amount && typeof amount == 'object') {
+			limiter = Blast.Classes.Develry.RateLimiter.cast(amount);
+
+			wrapper = function wrapper() {
+
+				if (!limiter.take()) {
+					return;
+				}
+
+				return fnc.apply(this, arguments);
+			};
+
+			wrapper.rate_limiter = limiter;
+
+			return wrapper;
+		}
 
 		if (!amount) {
 			amount = 1;
@@ -1004,24 +1059,47 @@ module.exports = function BlastFunctionFlow(Blast, Collection, Bound) {
 	});
 
 	/**
-	 * Make sure the callback will only be called once per given ms
+	 * Make sure the callback will only be called once per given ms.
+	 * When given rate limit options (or a `Develry.RateLimiter`)
+	 * instead of a number, every call is executed,
+	 * but the ones that exceed the rate are delayed.
 	 *
 	 * @author   Jelle De Loecker   <jelle@kipdola.be>
 	 * @since    0.1.9
-	 * @version  0.3.6
+	 * @version  0.4.3
 	 *
-	 * @param    {Function}   fnc           Function to throttle
-	 * @param    {Number}     minimum_wait  Minimum time to wait between executions
-	 * @param    {Boolean}    immediate     If true, execute the first execution immediately
-	 * @param    {Boolean}    reset_on_call Reset the counter on each call
+	 * @param    {Function}       fnc           Function to throttle
+	 * @param    {Number|Object}  minimum_wait  Minimum time to wait between executions
+	 * @param    {Boolean}        immediate     If true, execute the first execution immediately
+	 * @param    {Boolean}        reset_on_call Reset the counter on each call
 	 *
 	 * @return   {Function}
 	 */
 	Blast.defineStatic('Function', 'throttle', function throttle(fnc, minimum_wait, immediate, reset_on_call) {
 
 		var last_exec_time = 0,
+		    limiter,
+		    wrapper,
 		    queued;
 
+		if (minimum_wait && typeof minimum_wait == 'object') {
+			limiter = Blast.Classes.Develry.RateLimiter.cast(minimum_wait);
+
+			wrapper = function wrapper() {
+
+				var that = this,
+				    args = arguments;
+
+				limiter.wait(function throttleLimited() {
+					fnc.apply(that, args);
+				});
+			};
+
+			wrapper.rate_limiter = limiter;
+
+			return wrapper;
+		}
+
 		if (!minimum_wait) {
 			minimum_wait = 5;
 		}
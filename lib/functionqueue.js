@@ -1,27 +1,34 @@
 module.exports = function BlastFnQueue(Blast, Collection) {
 
 	var defaultOptions = {
-		enabled    : false,
-		limit      : 1,
-		context    : false,
-		queue_drop : false,
-		throttle   : 0,
-		sort       : false
+		enabled      : false,
+		limit        : 1,
+		context      : false,
+		queue_drop   : false,
+		throttle     : 0,
+		sort         : false,
+		rate_limit   : null,
+		storage      : null,
+		max_attempts : 3
 	};
 
+	// Used to create unique task ids
+	var task_counter = 0;
+
 	/**
 	 * The Function Queue Class,
 	 * based on Fuery
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.8
-	 * @version  0.2.1
+	 * @version  0.4.3
 	 *
 	 * @param    {Object}   options
 	 */
 	var Queue = Collection.Function.inherits('Informer', function FunctionQueue(options) {
 
-		options = Blast.Bound.Object.assign(defaultOptions, options);
+		// Don't modify the default options
+		options = Blast.Bound.Object.assign({}, defaultOptions, options);
 
 		// Only leave `queue_drop` amount of tasks in the queue
 		// if the total amount of tasks goes above this number.
@@ -43,9 +50,29 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 		// Should the queue be sorted?
 		this.sort = options.sort;
 
+		// The optional rate limiter,
+		// like `{amount: 60, interval: 60000, burst: 10}`
+		if (options.rate_limit) {
+			this.rate_limiter = Blast.Classes.Develry.RateLimiter.cast(options.rate_limit);
+		} else {
+			this.rate_limiter = null;
+		}
+
+		// The storage adapter for persistent jobs
+		this.storage = options.storage;
+
+		// How many times a persistent job can fail before it's dead-lettered
+		this.max_attempts = options.max_attempts;
+
+		// The named tasks persistent jobs can use
+		this._task_definitions = {};
+
 		// The functions to execute
 		this._queue = [];
 
+		// The queued & running tasks, by their id
+		this._tasks = {};
+
 		// Does the queue need sorting?
 		this._needSort = false;
 
@@ -59,6 +86,22 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 		this.startCount = 0;
 		this.endCount = 0;
 
+		// Total failed functions
+		this.failCount = 0;
+
+		// Total time spent waiting in the queue & running, in ms
+		this.totalWait = 0;
+		this.totalRun = 0;
+
+		// When the last functions ended, for the throughput
+		this._end_times = [];
+
+		// Has the `idle` event been emitted since the last task?
+		this._idle = true;
+
+		// When the queue was created
+		this.created = Date.now();
+
 		// Throttle counts
 		this.startThrottle = 0;
 		this.endThrottle = 0;
@@ -122,62 +165,118 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 	});
 
 	/**
-	 * Add a function to the queue
+	 * Define a named task, which can be added as a persistent job
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}     name
+	 * @param    {Function}   fnc
+	 */
+	Queue.setMethod(function defineTask(name, fnc) {
+		this._task_definitions[name] = fnc;
+	});
+
+	/**
+	 * Add a function to the queue.
+	 * Tasks with a higher `priority` run first,
+	 * tasks that take longer than their `timeout` (in ms) fail
+	 * and free their slot.
+	 * When a task with the same `id` is still queued or running,
+	 * its pledge is returned instead.
+	 *
+	 * When the name of a task defined with `defineTask` is given
+	 * and the queue has a `storage` adapter, the job is stored
+	 * (with its arguments dried) until it succeeds, or until it
+	 * has failed `max_attempts` times and is dead-lettered.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.8
-	 * @version  0.3.10
+	 * @version  0.4.3
 	 *
-	 * @param    {Function}   fnc      The function to queue
-	 * @param    {Array}      args     Arguments to pass to the function
-	 * @param    {Object}     options
+	 * @param    {Function|String}   fnc      The function or task name to queue
+	 * @param    {Array}             args     Arguments to pass to the function
+	 * @param    {Object}            options
+	 *
+	 * @return   {Pledge}     A pledge that settles with the result of the task
 	 */
 	Queue.setMethod(function add(fnc, args, options) {
 
 		var that = this,
+		    pledge,
 		    config,
-		    done,
-		    i;
+		    job;
 
 		if (this.destroyed) {
-			return;
+			pledge = new Blast.Classes.Pledge();
+			pledge.reject(new Error('The queue has been destroyed'));
+			return pledge;
+		}
+
+		// The options can also be given as the second argument
+		if (options == null && args && typeof args == 'object' && typeof args.length != 'number') {
+			options = args;
+			args = null;
 		}
 
 		if (!options || typeof options !== 'object') {
 			options = {};
+		} else {
+			options = Blast.Bound.Object.assign({}, options);
 		}
 
-		// If an ID is given, make sure this isn't already in the queue
+		// If an ID is given, make sure this isn't already queued or running
 		if (options.id) {
-			for (i = 0; i < this._queue.length; i++) {
-				if (this._queue[i].options.id == options.id) {
-					return;
-				}
+			if (this._tasks[options.id]) {
+				return this._tasks[options.id].pledge;
 			}
 		} else {
-			options.id = Date.now() + '-' + ~~(Math.random()*1000);
+			options.id = Date.now() + '-' + (++task_counter);
 		}
 
 		if (!options.weight) {
 			options.weight = 100;
 		}
 
-		done = function doneFueryFunction() {
-			that.running--;
-			that.endCount++;
-			that.endThrottle++;
-			that.check(true);
-		};
+		if (!options.priority) {
+			options.priority = 0;
+		}
 
-		config = {
-			fnc       : fnc,
-			done      : done,
-			options   : options,
-			arguments : args
-		};
+		if (typeof fnc == 'string') {
+
+			if (!this.storage) {
+				pledge = new Blast.Classes.Pledge();
+				pledge.reject(new Error('Named tasks can only be added to a queue with a storage adapter'));
+				return pledge;
+			}
+
+			job = {
+				id       : options.id,
+				name     : fnc,
+				args     : Collection.JSON.dry(args ? Collection.Array.cast(args) : []),
+				options  : {
+					priority : options.priority,
+					weight   : options.weight,
+					timeout  : options.timeout || null
+				},
+				attempts : 0,
+				error    : null,
+				created  : Date.now()
+			};
+
+			this.storage.save(job, storageCallback(this));
+
+			config = createTask(this, null, null, options, job);
+		} else {
+			config = createTask(this, fnc, args, options);
+		}
+
+		this._idle = false;
+		this.emit('enqueue', options.id, options);
 
 		if (!options.force) {
-			this._queue.push(config);
+			insertTask(this._queue, config);
 
 			// Mark the queue as dirty
 			this._needSort = true;
@@ -191,6 +290,118 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 				that.check(false, config);
 			});
 		}
+
+		return config.pledge;
+	});
+
+	/**
+	 * Queue the persistent jobs of the storage adapter
+	 * that aren't queued or running yet,
+	 * like the ones that were left over when the process stopped.
+	 * Jobs are acknowledged (removed from the storage) once they succeed,
+	 * so they can be replayed more than once.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 *
+	 * @return   {Pledge}     A pledge that resolves with the amount of queued jobs
+	 */
+	Queue.setMethod(function restore(callback) {
+
+		var that = this,
+		    pledge = new Blast.Classes.Pledge();
+
+		if (callback) {
+			pledge.then(function restored(count) {
+				callback(null, count);
+			}, callback);
+		}
+
+		if (!this.storage) {
+			pledge.reject(new Error('The queue has no storage adapter'));
+			return pledge;
+		}
+
+		this.storage.load(function gotJobs(err, jobs) {
+
+			var options,
+			    count = 0,
+			    job,
+			    i;
+
+			if (err) {
+				return pledge.reject(err);
+			}
+
+			for (i = 0; i < jobs.length; i++) {
+				job = jobs[i];
+
+				if (that.destroyed || that._tasks[job.id]) {
+					continue;
+				}
+
+				options = Blast.Bound.Object.assign({}, job.options, {id: job.id});
+
+				insertTask(that._queue, createTask(that, null, null, options, job));
+				count++;
+
+				that._idle = false;
+				that.emit('enqueue', job.id, options);
+			}
+
+			if (count) {
+				that._needSort = true;
+
+				Blast.setImmediate(function doDelayedCheck() {
+					that.check();
+				});
+			}
+
+			pledge.resolve(count);
+		});
+
+		return pledge;
+	});
+
+	/**
+	 * Get the persistent jobs that failed too many times
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 *
+	 * @return   {Pledge}
+	 */
+	Queue.setMethod(function getDeadLetters(callback) {
+
+		var pledge = new Blast.Classes.Pledge();
+
+		if (callback) {
+			pledge.then(function gotJobs(jobs) {
+				callback(null, jobs);
+			}, callback);
+		}
+
+		if (!this.storage) {
+			pledge.resolve([]);
+			return pledge;
+		}
+
+		this.storage.getDeadLetters(function gotJobs(err, jobs) {
+
+			if (err) {
+				return pledge.reject(err);
+			}
+
+			pledge.resolve(jobs);
+		});
+
+		return pledge;
 	});
 
 	/**
@@ -198,27 +409,32 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.3.10
-	 * @version  0.3.10
+	 * @version  0.4.3
 	 *
 	 * @param    {Function}   fnc      The function to queue
 	 * @param    {Array}      args     Arguments to pass to the function
 	 * @param    {Object}     options
+	 *
+	 * @return   {Pledge}
 	 */
 	Queue.setMethod(function force(fnc, args, options) {
 
-		if (this.destroyed) {
-			return;
+		if (options == null && args && typeof args == 'object' && typeof args.length != 'number') {
+			options = args;
+			args = null;
 		}
 
 		if (!options || typeof options !== 'object') {
 			options = {};
+		} else {
+			options = Blast.Bound.Object.assign({}, options);
 		}
 
 		// The `force` call is just a wrapper around
 		// `add` with the force option set to true
 		options.force = true;
 
-		this.add(fnc, args, options);
+		return this.add(fnc, args, options);
 	});
 
 	/**
@@ -226,10 +442,332 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.8
-	 * @version  0.1.9
+	 * @version  0.4.3
 	 */
 	function sortQueue(a, b) {
-		return b.options.weight - a.options.weight;
+		return (b.options.priority - a.options.priority) || (b.options.weight - a.options.weight);
+	}
+
+	/**
+	 * Create the config object of a task
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {FunctionQueue}   queue
+	 * @param    {Function}        fnc
+	 * @param    {Array}           args
+	 * @param    {Object}          options
+	 * @param    {Object}          job       The persistent job
+	 *
+	 * @return   {Object}
+	 */
+	function createTask(queue, fnc, args, options, job) {
+
+		var config;
+
+		config = {
+			fnc        : fnc,
+			done       : null,
+			options    : options,
+			arguments  : args,
+			pledge     : new Blast.Classes.Pledge(),
+			bomb       : null,
+			job        : job || null,
+			queued_at  : Date.now(),
+			started_at : null
+		};
+
+		config.done = createDone(queue, config);
+		queue._tasks[options.id] = config;
+
+		return config;
+	}
+
+	/**
+	 * Create the done callback for an attempt of a task.
+	 * Every attempt gets a new one, so callbacks of earlier attempts
+	 * that timed out are ignored.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {FunctionQueue}   queue
+	 * @param    {Object}          config
+	 *
+	 * @return   {Function}
+	 */
+	function createDone(queue, config) {
+
+		var options = config.options,
+		    finished = false;
+
+		return function doneFueryFunction(err, result) {
+
+			var unhandled = false;
+
+			// Tasks that timed out can still call back later
+			if (finished) {
+				return;
+			}
+
+			finished = true;
+
+			if (config.bomb) {
+				config.bomb.defuse();
+			}
+
+			queue.running--;
+			queue.endCount++;
+			queue.endThrottle++;
+			registerEnd(queue, config);
+
+			if (err) {
+				queue.failCount++;
+
+				// Only emit errors when they're listened to,
+				// the pledge of the task is rejected anyway
+				if (queue.listenerCount('error')) {
+					queue.emit('error', err, options.id);
+				} else if (!config.job && !config.pledge.sub_pledges) {
+					unhandled = true;
+				}
+			} else {
+				queue.emit('done', options.id, result);
+			}
+
+			if (config.job) {
+				finishJob(queue, config, err, result);
+			} else {
+				delete queue._tasks[options.id];
+
+				if (err) {
+					config.pledge.reject(err);
+				} else {
+					config.pledge.resolve(result);
+				}
+			}
+
+			queue.check(true);
+			checkIdle(queue);
+
+			// Nothing handles the failure: emitting it without listeners
+			// throws it, outside of the queue's own bookkeeping
+			if (unhandled) {
+				Blast.setImmediate(function throwUnhandled() {
+					queue.emit('error', err, options.id);
+				});
+			}
+		};
+	}
+
+	/**
+	 * Get the function & arguments of a persistent job
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {FunctionQueue}   queue
+	 * @param    {Object}          config
+	 */
+	function prepareJob(queue, config) {
+
+		var job = config.job;
+
+		config.fnc = queue._task_definitions[job.name];
+
+		if (!config.fnc) {
+			config.fnc = function missingTask() {
+				throw new Error('The task "' + job.name + '" has not been defined');
+			};
+		}
+
+		config.arguments = Collection.JSON.undry(job.args);
+	}
+
+	/**
+	 * Acknowledge a persistent job when it succeeded,
+	 * or queue it again when it failed
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {FunctionQueue}   queue
+	 * @param    {Object}          config
+	 * @param    {Error}           err
+	 * @param    {Mixed}           result
+	 */
+	function finishJob(queue, config, err, result) {
+
+		var job = config.job;
+
+		if (!err) {
+			delete queue._tasks[job.id];
+			queue.storage.remove(job.id, storageCallback(queue));
+			return config.pledge.resolve(result);
+		}
+
+		job.attempts++;
+		job.error = String(err && err.message || err);
+
+		if (job.attempts >= queue.max_attempts) {
+			delete queue._tasks[job.id];
+			queue.storage.deadLetter(job, storageCallback(queue));
+			queue.emit('deadLetter', job, err);
+			return config.pledge.reject(err);
+		}
+
+		queue.storage.save(job, storageCallback(queue));
+		queue.emit('jobFailed', job, err);
+
+		config.done = createDone(queue, config);
+		config.bomb = null;
+		config.queued_at = Date.now();
+
+		if (!queue.destroyed) {
+			insertTask(queue._queue, config);
+			queue._needSort = true;
+		}
+	}
+
+	/**
+	 * Get a callback that emits storage errors on the queue
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {FunctionQueue}   queue
+	 *
+	 * @return   {Function}
+	 */
+	function storageCallback(queue) {
+		return function afterStorage(err) {
+			if (err) {
+				queue.emit('storageError', err);
+			}
+		};
+	}
+
+	/**
+	 * Register the run time of a task that ended
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {FunctionQueue}   queue
+	 * @param    {Object}          config
+	 */
+	function registerEnd(queue, config) {
+
+		var now = Date.now();
+
+		queue.totalRun += now - config.started_at;
+		queue._end_times.push(now);
+
+		// Only the last minute is used for the throughput
+		while (queue._end_times[0] < now - 60000) {
+			queue._end_times.shift();
+		}
+	}
+
+	/**
+	 * Emit the `idle` event when nothing is queued or running anymore
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {FunctionQueue}   queue
+	 */
+	function checkIdle(queue) {
+
+		if (queue._idle || queue.running || queue._queue.length) {
+			return;
+		}
+
+		queue._idle = true;
+		queue.emit('idle');
+	}
+
+	/**
+	 * Insert the task after all the tasks with the same or a higher priority
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}    queue
+	 * @param    {Object}   config
+	 */
+	function insertTask(queue, config) {
+
+		var i = queue.length;
+
+		while (i > 0 && queue[i - 1].options.priority < config.options.priority) {
+			i--;
+		}
+
+		queue.splice(i, 0, config);
+	}
+
+	/**
+	 * Execute the given task
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {FunctionQueue}   queue
+	 * @param    {Object}          next
+	 */
+	function runTask(queue, next) {
+
+		// Later attempts get a new done callback
+		var done = next.done,
+		    result,
+		    args,
+		    i;
+
+		try {
+			// If the function accepts a callback, pass the done function
+			if (next.fnc.length) {
+
+				// Add the done callback function to the arguments
+				args = [done];
+
+				// Don't use special array functions because 'arguments' isn't an array
+				if (next.arguments && next.arguments.length) {
+					for (i = 0; i < next.arguments.length; i++) {
+						args.push(next.arguments[i]);
+					}
+				}
+
+				next.fnc.apply(queue.context, args);
+				return;
+			}
+
+			result = next.fnc.call(queue.context);
+		} catch (err) {
+			return done(err);
+		}
+
+		// Wait for returned thenables
+		if (result && typeof result.then == 'function') {
+			return result.then(function resolved(value) {
+				done(null, value);
+			}, function rejected(err) {
+				done(err || new Error('The task rejected without a reason'));
+			});
+		}
+
+		// If it does not, do the done right after
+		done(null, result);
 	}
 
 	/**
@@ -237,7 +775,7 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.8
-	 * @version  0.3.10
+	 * @version  0.4.3
 	 *
 	 * @param    {Boolean}  set_end     Set `lastEnd` to current timestamp
 	 * @param    {Object}   force_next  Next object to force
@@ -245,11 +783,11 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 	Queue.setMethod(function check(set_end, force_next) {
 
 		var that = this,
+		    dropped,
 		    limit,
 		    time,
 		    diff,
 		    next,
-		    args,
 		    i;
 
 		if (!force_next) {
@@ -342,15 +880,43 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 
 			// If the queue contains too many tasks, drop the older ones
 			if (this.queue_drop && this._queue.length > this.queue_drop) {
-				this._queue.splice(0, this._queue.length - this.queue_drop);
+				dropped = this._queue.splice(0, this._queue.length - this.queue_drop);
+
+				for (i = 0; i < dropped.length; i++) {
+					delete this._tasks[dropped[i].options.id];
+					dropped[i].pledge.reject(new Error('The task was dropped from the queue'));
+				}
+			}
+
+			// Wait for the rate limiter to allow the next task
+			if (this.rate_limiter && !this.rate_limiter.take()) {
+				diff = this.rate_limiter.getDelay();
+
+				this.queuedCheck = true;
+				this.rate_limiter.delayed++;
+				this.emit('rateLimited', diff, this._queue.length);
+
+				return setTimeout(function rateLimitCheck() {
+					that.queuedCheck = false;
+					that.check();
+				}, diff);
 			}
 
 			// Get the next item from the top of the queue
 			next = this._queue.shift();
+
+			// The last queued task is about to start
+			if (!this._queue.length) {
+				this.emit('drain');
+			}
 		} else {
 			next = force_next;
 		}
 
+		if (next && next.job) {
+			prepareJob(this, next);
+		}
+
 		if (next && next.fnc) {
 
 			// Increase the running count
@@ -360,25 +926,19 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 			this.startCount++;
 			this.startThrottle++;
 
-			// If the function accepts a callback, pass the done function
-			if (next.fnc.length) {
-
-				// Add the done callback function to the arguments
-				args = [next.done];
+			next.started_at = Date.now();
+			this.totalWait += next.started_at - next.queued_at;
+			this._idle = false;
 
-				// Don't use special array functions because 'arguments' isn't an array
-				if (next.arguments && next.arguments.length) {
-					for (i = 0; i < next.arguments.length; i++) {
-						args.push(next.arguments[i]);
-					}
-				}
+			this.emit('start', next.options.id);
 
-				next.fnc.apply(this.context, args);
-			} else {
-				// If it does not, do the done right after
-				next.fnc.call(this.context);
-				next.done();
+			if (next.options.timeout) {
+				next.bomb = Collection.Function.timebomb(next.options.timeout, function onTimeout() {
+					next.done(new Blast.Classes.TimeoutError('The task timed out after ' + next.options.timeout + 'ms', next.options.timeout));
+				});
 			}
+
+			runTask(this, next);
 		}
 
 		// Check again
@@ -443,15 +1003,87 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 		this.checkPause();
 	});
 
+	/**
+	 * Resume the queue after it was paused
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	Queue.setMethod(function resume() {
+		this.start();
+	});
+
+	/**
+	 * Wait for all the queued & running tasks to finish.
+	 * Tasks that are added in the meantime are also waited for.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Pledge}
+	 */
+	Queue.setMethod(function drain() {
+
+		var pledge = new Blast.Classes.Pledge();
+
+		if (this.destroyed || (!this.running && !this._queue.length)) {
+			pledge.resolve();
+		} else {
+			this.once('idle', function onIdle() {
+				pledge.resolve();
+			});
+		}
+
+		return pledge;
+	});
+
+	/**
+	 * Get a snapshot of the statistics of this queue.
+	 * The throughput is the amount of tasks that ended per second
+	 * during the last minute.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Object}
+	 */
+	Queue.setMethod(function getStats() {
+
+		var now = Date.now(),
+		    elapsed = Math.min(60000, Math.max(1000, now - this.created)),
+		    started = this.startCount,
+		    ended = this.endCount;
+
+		while (this._end_times.length && this._end_times[0] < now - 60000) {
+			this._end_times.shift();
+		}
+
+		return {
+			queued       : this._queue.length,
+			running      : this.running,
+			started      : started,
+			ended        : ended,
+			failed       : this.failCount,
+			throughput   : this._end_times.length / (elapsed / 1000),
+			average_wait : started ? this.totalWait / started : 0,
+			average_run  : ended ? this.totalRun / ended : 0
+		};
+	});
+
 	/**
 	 * Destroy the queue
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.9
-	 * @version  0.1.9
+	 * @version  0.4.3
 	 */
 	Queue.setMethod(function destroy() {
 
+		var i;
+
 		if (this.destroyed) {
 			return;
 		}
@@ -460,10 +1092,19 @@ module.exports = function BlastFnQueue(Blast, Collection) {
 		this.enabled = false;
 		this.destroyed = true;
 
+		// Reject the tasks that never got to run
+		for (i = 0; i < this._queue.length; i++) {
+			this._queue[i].pledge.reject(new Error('The queue has been destroyed'));
+		}
+
 		// Empty the arrays
 		this._queue.length = 0;
 		this._pauseQueue.length = 0;
+		this._tasks = {};
 		this.context = null;
+
+		// Let `drain` callers know nothing will be running anymore
+		checkIdle(this);
 	});
 
 	Blast.defineClass('FunctionQueue', Queue);
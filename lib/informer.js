@@ -10,12 +10,50 @@ module.exports = function BlastInformer(Blast, Collection) {
 	 */
 	var Informer = Collection.Function.inherits(function Informer() {});
 
+	/**
+	 * Compiled wildcard patterns
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {Object}
+	 */
+	var pattern_cache = {};
+
+	/**
+	 * The default maximum amount of listeners per type,
+	 * before a warning is emitted. Use 0 for no limit.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {Number}
+	 */
+	Informer.defaultMaxListeners = 10;
+
+	/**
+	 * Capture the stack of every listener registration,
+	 * so it can be seen in `inspectListeners`
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {Boolean}
+	 */
+	Informer.captureStacks = false;
+
 	// Functions that only listen to the type (string)
 	Informer.prepareStaticProperty('simpleListeners', Object);
 
 	// Functions that listen but filter
 	Informer.prepareStaticProperty('filterListeners', Object);
 
+	// Functions that listen to a wildcard pattern
+	Informer.prepareStaticProperty('patternListeners', Object);
+
 	// List of all the types we're listening to
 	Informer.prepareStaticProperty('listenTypes', Array);
 
@@ -29,6 +67,11 @@ module.exports = function BlastInformer(Blast, Collection) {
 		return this._filterListeners || (this._filterListeners = {});
 	});
 
+	// Functions that listen to a wildcard pattern
+	Informer.setProperty(function patternListeners() {
+		return this._patternListeners || (this._patternListeners = {});
+	});
+
 	// List of all the types we're listening to
 	Informer.setProperty(function listenTypes() {
 		return this._listenTypes || (this._listenTypes = []);
@@ -113,19 +156,33 @@ module.exports = function BlastInformer(Blast, Collection) {
 
 	/**
 	 * Set a prototype method on the given constructor
-	 * that will execute the task once and cache the result.
+	 * that will execute the task once (per instance & arguments)
+	 * and cache the result.
 	 * The method will always return a promise in the form of the Pledge class.
 	 *
+	 * The options are:
+	 * `max_age`     how long a result stays cached (in ms, counting from when it was made),
+	 *               expired results are evicted when they're looked up
+	 * `max_entries` how many results to keep, the least recently used ones are evicted
+	 * `key`         a function that returns the cache key for the given arguments,
+	 *               defaults to the `Object.checksum` of the arguments
+	 *
+	 * Errors are not cached.
+	 * Every eviction emits a `cacheEvicted` event on the instance,
+	 * with the method name, the cache key and the reason
+	 * (`expired`, `size`, `error` or `clear`)
+	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.4.0
-	 * @version  0.4.0
+	 * @version  0.4.3
 	 *
-	 * @param    {String}          key      Name to use (defaults to method name)
-	 * @param    {Function}        method   The method to set
+	 * @param    {String}          key       Name to use (defaults to method name)
+	 * @param    {Object}          options
+	 * @param    {Function}        method    The method to set
 	 *
 	 * @return   {Function}
 	 */
-	Informer.setStatic(function setCacheMethod(key, method) {
+	Informer.setStatic(function setCacheMethod(key, options, method) {
 
 		var wrapper,
 		    args;
@@ -133,6 +190,18 @@ module.exports = function BlastInformer(Blast, Collection) {
 		if (typeof key == 'function') {
 			method = key;
 			key = method.name;
+			options = null;
+		} else if (key && typeof key == 'object') {
+			method = options;
+			options = key;
+			key = method.name;
+		} else if (typeof options == 'function') {
+			method = options;
+			options = null;
+		}
+
+		if (!options) {
+			options = {};
 		}
 
 		// Get the names of the arguments of the method to set
@@ -142,62 +211,94 @@ module.exports = function BlastInformer(Blast, Collection) {
 		wrapper = Collection.Function.create(key, args, function wrapper() {
 
 			var that = this,
-			    new_args,
+			    cache_key,
+			    new_args = [],
 			    callback,
+			    length = arguments.length,
 			    pledge,
-			    args = arguments,
+			    cache,
+			    entry,
 			    i;
 
 			// Extract the callback
-			if (args.length && typeof args[args.length - 1] == 'function') {
-				callback = args[args.length - 1];
+			if (length && typeof arguments[length - 1] == 'function') {
+				callback = arguments[length - 1];
+				length--;
 			}
 
-			// If the _method_cache object doesn't exist yet,
-			// make it now
-			if (this._method_cache == null) {
-				this._method_cache = {};
+			for (i = 0; i < length; i++) {
+				new_args.push(arguments[i]);
 			}
 
-			if (!this._method_cache[key]) {
-				// This is the first time the method has been called!
-				pledge = new Blast.Classes.Pledge;
-				this._method_cache[key] = pledge;
+			if (options.key) {
+				cache_key = options.key.apply(this, new_args);
+			} else {
+				cache_key = Collection.Object.checksum(new_args);
 			}
 
-			// If there already is a pledge in the method cache object,
-			// use it to add this call
-			if (this._method_cache[key]) {
-				this._method_cache[key].then(function doMethod(result) {
-					callback(null, result);
-				});
-
-				this._method_cache[key].catch(function doMethod(err) {
-					callback(err);
-				});
+			cache = getMethodCache(this, key);
+			entry = cache.entries[cache_key];
 
-				// This return will only be called if it's not the first time
-				if (!pledge) {
-					return this._method_cache[key];
-				}
+			if (entry && entry.expires != null && entry.expires <= Date.now()) {
+				evictCacheEntry(this, key, cache_key, 'expired');
+				entry = null;
 			}
 
-			new_args = [];
+			if (entry) {
+				// Move it to the end, so it becomes the most recently used one
+				unlinkCacheEntry(cache, entry);
+				appendCacheEntry(cache, entry);
+				pledge = entry.pledge;
+			} else {
+				// This is the first time the method has been called
+				// with these arguments!
+				pledge = new Blast.Classes.Pledge;
 
-			for (i = 0; i < args.length - 1; i++) {
-				new_args.push(args[i]);
-			}
+				entry = {
+					key     : cache_key,
+					pledge  : pledge,
+					expires : null,
+					prev    : null,
+					next    : null
+				};
 
-			new_args.push(function done(err, result) {
+				if (options.max_age != null) {
+					entry.expires = Date.now() + options.max_age;
+				}
 
-				if (err) {
-					return pledge.reject(err);
+				cache.entries[cache_key] = entry;
+				appendCacheEntry(cache, entry);
+
+				if (options.max_entries) {
+					while (cache.size > options.max_entries) {
+						evictCacheEntry(this, key, cache.first.key, 'size');
+					}
 				}
 
-				pledge.resolve(result);
-			});
+				new_args.push(function done(err, result) {
+
+					if (err) {
+						// Errors are not cached
+						if (cache.entries[cache_key] === entry) {
+							evictCacheEntry(that, key, cache_key, 'error');
+						}
+
+						return pledge.reject(err);
+					}
+
+					pledge.resolve(result);
+				});
+
+				method.apply(that, new_args);
+			}
 
-			method.apply(that, new_args);
+			if (callback) {
+				pledge.then(function gotResult(result) {
+					callback(null, result);
+				}, function gotError(err) {
+					callback(err);
+				});
+			}
 
 			return pledge;
 		});
@@ -206,6 +307,224 @@ module.exports = function BlastInformer(Blast, Collection) {
 		return this.setMethod(key, wrapper);
 	});
 
+	/**
+	 * Clear the results cached by the `setCacheMethod` methods
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   method_name   Only clear the cache of this method
+	 */
+	Informer.setMethod(function clearCache(method_name) {
+
+		var cache,
+		    name;
+
+		if (!this._method_cache) {
+			return;
+		}
+
+		for (name in this._method_cache) {
+
+			if (method_name && name != method_name) {
+				continue;
+			}
+
+			cache = this._method_cache[name];
+
+			while (cache.first) {
+				evictCacheEntry(this, name, cache.first.key, 'clear');
+			}
+		}
+	});
+
+	/**
+	 * Get the cache of the given method:
+	 * the `entries` by their key, linked from the `first`
+	 * (least recently used) to the `last` one
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}   instance
+	 * @param    {String}     method_name
+	 *
+	 * @return   {Object}
+	 */
+	function getMethodCache(instance, method_name) {
+
+		// If the _method_cache object doesn't exist yet,
+		// make it now
+		if (instance._method_cache == null) {
+			instance._method_cache = {};
+		}
+
+		if (!instance._method_cache[method_name]) {
+			instance._method_cache[method_name] = {
+				entries : Object.create(null),
+				size    : 0,
+				first   : null,
+				last    : null
+			};
+		}
+
+		return instance._method_cache[method_name];
+	}
+
+	/**
+	 * Remove an entry from a method cache & emit the `cacheEvicted` event
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}   instance
+	 * @param    {String}     method_name
+	 * @param    {String}     cache_key
+	 * @param    {String}     reason
+	 */
+	function evictCacheEntry(instance, method_name, cache_key, reason) {
+
+		var cache = instance._method_cache[method_name],
+		    entry = cache.entries[cache_key];
+
+		if (entry) {
+			unlinkCacheEntry(cache, entry);
+			delete cache.entries[cache_key];
+		}
+
+		instance.emit('cacheEvicted', method_name, cache_key, reason);
+	}
+
+	/**
+	 * Add an entry to the end of a method cache,
+	 * making it the most recently used one
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   cache
+	 * @param    {Object}   entry
+	 */
+	function appendCacheEntry(cache, entry) {
+
+		entry.prev = cache.last;
+		entry.next = null;
+
+		if (cache.last) {
+			cache.last.next = entry;
+		} else {
+			cache.first = entry;
+		}
+
+		cache.last = entry;
+		cache.size++;
+	}
+
+	/**
+	 * Take an entry out of the linked list of a method cache
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   cache
+	 * @param    {Object}   entry
+	 */
+	function unlinkCacheEntry(cache, entry) {
+
+		if (entry.prev) {
+			entry.prev.next = entry.next;
+		} else {
+			cache.first = entry.next;
+		}
+
+		if (entry.next) {
+			entry.next.prev = entry.prev;
+		} else {
+			cache.last = entry.prev;
+		}
+
+		entry.prev = null;
+		entry.next = null;
+		cache.size--;
+	}
+
+	/**
+	 * Is the given type a wildcard pattern?
+	 * A `*` matches a single segment of a type (delimited by `.` or `:`),
+	 * a `**` matches any number of segments.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String|Object}   type
+	 *
+	 * @return   {Boolean}
+	 */
+	function isPattern(type) {
+		return typeof type === 'string' && type.indexOf('*') > -1;
+	}
+
+	/**
+	 * Get the regular expression of the given wildcard pattern
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   pattern
+	 *
+	 * @return   {RegExp}
+	 */
+	function getPatternRegex(pattern) {
+
+		var source;
+
+		if (pattern_cache[pattern]) {
+			return pattern_cache[pattern];
+		}
+
+		source = Collection.RegExp.escape(pattern);
+		source = source.replace(/\\\*\\\*/g, '.+').replace(/\\\*/g, '[^.:]+');
+
+		return pattern_cache[pattern] = new RegExp('^' + source + '$');
+	}
+
+	/**
+	 * Add the pattern listeners matching the given type name to the result
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}    result
+	 * @param    {Object}   pattern_listeners
+	 * @param    {String}   type_name
+	 */
+	function addPatternListeners(result, pattern_listeners, type_name) {
+
+		var listeners,
+		    pattern,
+		    i;
+
+		for (pattern in pattern_listeners) {
+			listeners = pattern_listeners[pattern];
+
+			if (!listeners.length || !getPatternRegex(pattern).test(type_name)) {
+				continue;
+			}
+
+			for (i = 0; i < listeners.length; i++) {
+				result.push(listeners[i]);
+			}
+		}
+	}
+
 	/**
 	 * Try/catch function, return error object or null
 	 *
@@ -249,19 +568,83 @@ module.exports = function BlastInformer(Blast, Collection) {
 	}
 
 	/**
-	 * Add an event listener
+	 * Add an entry to a list of listeners,
+	 * after the entries with the same or a higher priority
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   list
+	 * @param    {Array}   entry
+	 */
+	function insertEntry(list, entry) {
+
+		var i;
+
+		// Most listeners have the same priority, so just push them
+		if (!list.length || (list[list.length - 1][3] || 0) >= entry[3]) {
+			return list.push(entry);
+		}
+
+		for (i = 0; i < list.length; i++) {
+			if ((list[i][3] || 0) < entry[3]) {
+				break;
+			}
+		}
+
+		list.splice(i, 0, entry);
+	}
+
+	/**
+	 * Sort the found listeners by their priority,
+	 * keeping the order of listeners with the same priority.
+	 * The first 2 items (the type & filter) are left alone.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   result
+	 */
+	function sortByPriority(result) {
+
+		var entry,
+		    i,
+		    j;
+
+		for (i = 3; i < result.length; i++) {
+			entry = result[i];
+
+			for (j = i - 1; j >= 2 && (result[j][3] || 0) < (entry[3] || 0); j--) {
+				result[j + 1] = result[j];
+			}
+
+			result[j + 1] = entry;
+		}
+	}
+
+	/**
+	 * Add an event listener.
+	 * The type can also be a wildcard pattern, like `model:*` or `user.**`
+	 *
+	 * Listeners with a higher priority are called first (the default is 0),
+	 * listeners with the same priority are called in the order they were added.
+	 * A listener can call `this.stop()` to prevent the listeners after it
+	 * from being called.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.1.4
+	 * @version  0.4.3
 	 *
 	 * @param    {String|Object}   type
 	 * @param    {Function}        listener
 	 * @param    {Object}          context
+	 * @param    {Number}          priority
 	 *
 	 * @return   {Informer}
 	 */
-	function addListener(type, listener, context) {
+	function addListener(type, listener, context, priority) {
 
 		var typeName,
 		    filter,
@@ -273,11 +656,17 @@ module.exports = function BlastInformer(Blast, Collection) {
 			throw TypeError('listener must be a function');
 		}
 
+		priority = Number(priority) || 0;
+
 		// Get the typename & filter data
-		if (typeof type === 'string') {
+		if (isPattern(type)) {
+			target = this.patternListeners;
+			typeName = type;
+			entry = [listener, null, context||null, priority];
+		} else if (typeof type === 'string') {
 			target = this.simpleListeners;
 			typeName = type;
-			entry = [listener, null, context||null];
+			entry = [listener, null, context||null, priority];
 		} else {
 			target = this.filterListeners;
 
@@ -288,7 +677,7 @@ module.exports = function BlastInformer(Blast, Collection) {
 			}
 
 			filter = type;
-			entry = [listener, filter, context||null];
+			entry = [listener, filter, context||null, priority];
 		}
 
 		// Emit the 'newListener' event
@@ -298,14 +687,111 @@ module.exports = function BlastInformer(Blast, Collection) {
 
 		if (!target[typeName]) {
 			target[typeName] = [];
-			this.listenTypes.push(typeName);
+
+			// Patterns are not types
+			if (target !== this.patternListeners) {
+				this.listenTypes.push(typeName);
+			}
 		}
 
-		target[typeName].push(entry);
+		// Remember where this listener was added
+		if (Informer.captureStacks) {
+			entry[4] = (new Error('Listener added')).stack;
+		}
+
+		insertEntry(target[typeName], entry);
+
+		checkListenerCount(this, target, typeName);
 
 		return this;
 	}
 
+	/**
+	 * Emit a warning when there are more listeners for the given type
+	 * than allowed. This is only done once per type.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}   informer
+	 * @param    {Object}     target      The listeners object that was added to
+	 * @param    {String}     type_name
+	 */
+	function checkListenerCount(informer, target, type_name) {
+
+		var warning,
+		    count,
+		    max;
+
+		max = informer._max_listeners != null ? informer._max_listeners : Informer.defaultMaxListeners;
+
+		if (!max || (informer._warned_types && informer._warned_types[type_name])) {
+			return;
+		}
+
+		count = target[type_name].length;
+
+		// Simple & filter listeners of the same type are counted together
+		if (target === informer.simpleListeners) {
+			count += informer.filterListeners[type_name] ? informer.filterListeners[type_name].length : 0;
+		} else if (target === informer.filterListeners) {
+			count += informer.simpleListeners[type_name] ? informer.simpleListeners[type_name].length : 0;
+		}
+
+		if (count <= max) {
+			return;
+		}
+
+		if (!informer._warned_types) {
+			informer._warned_types = {};
+		}
+
+		informer._warned_types[type_name] = true;
+
+		// The error captures the stack of the listener that went over the limit
+		warning = new Error('Possible Informer memory leak detected: ' + count + ' "' + type_name + '" listeners added, use setMaxListeners() to increase the limit of ' + max);
+		warning.name = 'MaxListenersExceededWarning';
+		warning.emitter = informer;
+		warning.type = type_name;
+		warning.count = count;
+
+		// Nothing is logged, listen to the `warning` event to see it
+		if (typeof informer.emit == 'function') {
+			informer.emit('warning', warning);
+		}
+	}
+
+	/**
+	 * Set the maximum amount of listeners per type,
+	 * before a `warning` event is emitted. Use 0 for no limit.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   amount
+	 *
+	 * @return   {Informer}
+	 */
+	Informer.setMethod(function setMaxListeners(amount) {
+		this._max_listeners = amount;
+		return this;
+	});
+
+	/**
+	 * Get the maximum amount of listeners per type
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Number}
+	 */
+	Informer.setMethod(function getMaxListeners() {
+		return this._max_listeners != null ? this._max_listeners : Informer.defaultMaxListeners;
+	});
+
 	// Add the listener method to the class constructor
 	Informer.setStatic(['addListener', 'on'], addListener);
 
@@ -340,18 +826,20 @@ module.exports = function BlastInformer(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.1.4
+	 * @version  0.4.3
 	 *
 	 * @param    {String|Object}   type
 	 * @param    {Number}          times
 	 * @param    {Function}        listener
 	 * @param    {Object}          context
+	 * @param    {Number}          priority
 	 */
-	Informer.setMethod(['many', 'once'], function many(type, times, listener, context) {
+	Informer.setMethod(['many', 'once'], function many(type, times, listener, context, priority) {
 
 		var fired = 0;
 
 		if (typeof times !== 'number') {
+			priority = context;
 			context = listener,
 			listener = times;
 			times = 1;
@@ -373,7 +861,7 @@ module.exports = function BlastInformer(Blast, Collection) {
 		}
 
 		g.listener = listener;
-		this.on(type, g, context);
+		this.on(type, g, context, priority);
 
 		return this;
 	});
@@ -483,7 +971,7 @@ module.exports = function BlastInformer(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.1.4
+	 * @version  0.4.3
 	 *
 	 * @param    {String|Object}   type
 	 * @param    {Function}        listenerToRemove
@@ -506,7 +994,11 @@ module.exports = function BlastInformer(Blast, Collection) {
 		// Normalize the type
 		if (typeof type === 'string') {
 
-			listeners = this.simpleListeners[type];
+			if (isPattern(type)) {
+				listeners = this.patternListeners[type];
+			} else {
+				listeners = this.simpleListeners[type];
+			}
 
 			if (listeners && listeners.length) {
 				for (i = listeners.length-1; i >= 0; i--) {
@@ -577,7 +1069,7 @@ module.exports = function BlastInformer(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.1.3
+	 * @version  0.4.3
 	 *
 	 * @param    {String|Object}   type
 	 */
@@ -594,7 +1086,11 @@ module.exports = function BlastInformer(Blast, Collection) {
 		// Normalize the type
 		if (typeof type === 'string') {
 
-			listeners = this.simpleListeners[type];
+			if (isPattern(type)) {
+				listeners = this.patternListeners[type];
+			} else {
+				listeners = this.simpleListeners[type];
+			}
 
 			if (listeners && listeners.length) {
 
@@ -672,11 +1168,13 @@ module.exports = function BlastInformer(Blast, Collection) {
 	});
 
 	/**
-	 * Check if the given type has been seen
+	 * Check if the given type has been seen.
+	 * If the type is a wildcard pattern,
+	 * any matching type will do.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.3.10
+	 * @version  0.4.3
 	 *
 	 * @param    {String|Object}   type
 	 *
@@ -687,11 +1185,25 @@ module.exports = function BlastInformer(Blast, Collection) {
 		var listeners,
 		    typeName,
 		    filter,
+		    regex,
 		    types,
 		    entry,
 		    doit,
+		    key,
 		    i;
 
+		if (isPattern(type)) {
+			regex = getPatternRegex(type);
+
+			for (key in this.simpleSeen) {
+				if (this.simpleSeen[key] && regex.test(key)) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+
 		// The check is very simple if the type is just a string
 		if (typeof type === 'string') {
 			if (this.simpleSeen[type]) {
@@ -742,11 +1254,12 @@ module.exports = function BlastInformer(Blast, Collection) {
 	});
 
 	/**
-	 * Unsee an event type or filter
+	 * Unsee an event type or filter.
+	 * If the type is a wildcard pattern, all matching types are unseen.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.3.0
-	 * @version  0.3.10
+	 * @version  0.4.3
 	 *
 	 * @param    {String|Object}   type
 	 */
@@ -755,10 +1268,31 @@ module.exports = function BlastInformer(Blast, Collection) {
 		var filter,
 		    entry,
 		    count,
+		    regex,
 		    doit,
 		    key,
 		    i;
 
+		if (isPattern(type)) {
+			regex = getPatternRegex(type);
+
+			for (key in this.simpleSeen) {
+				if (regex.test(key)) {
+					this.simpleSeen[key] = false;
+				}
+			}
+
+			for (i = this.filterSeen.length - 1; i >= 0; i--) {
+				entry = this.filterSeen[i];
+
+				if (typeof entry.type === 'string' && regex.test(entry.type)) {
+					this.filterSeen.splice(i, 1);
+				}
+			}
+
+			return;
+		}
+
 		if (typeof type == 'string') {
 			this.simpleSeen[type] = false;
 
@@ -818,7 +1352,7 @@ module.exports = function BlastInformer(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.3.10
+	 * @version  0.4.3
 	 *
 	 * @param    {String|Object}   type
 	 * @param    {Boolean}         mark_as_seen
@@ -943,12 +1477,32 @@ module.exports = function BlastInformer(Blast, Collection) {
 				}
 			}
 
-			if (!listeners) {
-				return result;
+			if (listeners) {
+				for (j = 0; j < listeners.length; j++) {
+					result.push(listeners[j]);
+				}
 			}
 
-			for (j = 0; j < listeners.length; j++) {
-				result.push(listeners[j]);
+			// Only look for wildcard listeners when there are any
+			if (this._patternListeners) {
+				addPatternListeners(result, this._patternListeners, typeName);
+			}
+
+			if (this.constructor.classWideEvents) {
+				for (cstr = this.constructor; cstr; cstr = cstr.super) {
+					if (cstr.patternListeners) {
+						addPatternListeners(result, cstr.patternListeners, typeName);
+					}
+				}
+			}
+		}
+
+		// The listeners come from multiple lists,
+		// so they only need sorting when priorities are used
+		for (i = 2; i < result.length; i++) {
+			if (result[i][3]) {
+				sortByPriority(result);
+				break;
 			}
 		}
 
@@ -972,11 +1526,125 @@ module.exports = function BlastInformer(Blast, Collection) {
 	});
 
 	/**
-	 * See if there is a next item
+	 * Count the listeners.
+	 * A string type counts the simple and filter listeners of that type,
+	 * a filter object counts the listeners that would be called.
+	 * Without a type all listeners are counted.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String|Object}   type
+	 *
+	 * @return   {Number}
+	 */
+	Informer.setMethod(function listenerCount(type) {
+
+		if (type == null) {
+			return this.inspectListeners().length;
+		}
+
+		if (isPattern(type)) {
+			return this.patternListeners[type] ? this.patternListeners[type].length : 0;
+		}
+
+		if (typeof type === 'string') {
+			return (this.simpleListeners[type] ? this.simpleListeners[type].length : 0)
+			     + (this.filterListeners[type] ? this.filterListeners[type].length : 0);
+		}
+
+		return this.queryListeners(type, false).length - 2;
+	});
+
+	/**
+	 * Get the types (and patterns) that have listeners
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Array}
+	 */
+	Informer.setMethod(function eventNames() {
+
+		var targets = [this.simpleListeners, this.filterListeners, this.patternListeners],
+		    result = [],
+		    key,
+		    i;
+
+		for (i = 0; i < targets.length; i++) {
+			for (key in targets[i]) {
+				if (targets[i][key].length && result.indexOf(key) == -1) {
+					result.push(key);
+				}
+			}
+		}
+
+		return result;
+	});
+
+	/**
+	 * Get information about the listeners:
+	 * their type, filter, function, context, priority and the stack
+	 * of where they were added (if `Informer.captureStacks` was enabled)
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   type   Only get the listeners of this type
+	 *
+	 * @return   {Array}
+	 */
+	Informer.setMethod(function inspectListeners(type) {
+
+		var targets = [this.simpleListeners, this.filterListeners, this.patternListeners],
+		    result = [],
+		    entry,
+		    list,
+		    key,
+		    i,
+		    j;
+
+		for (i = 0; i < targets.length; i++) {
+			for (key in targets[i]) {
+
+				if (type != null && key !== type) {
+					continue;
+				}
+
+				list = targets[i][key];
+
+				for (j = 0; j < list.length; j++) {
+					entry = list[j];
+
+					result.push({
+						type     : key,
+						filter   : entry[1],
+						listener : entry[0].listener || entry[0],
+						context  : entry[2],
+						priority : entry[3] || 0,
+						stack    : entry[4] || null
+					});
+				}
+			}
+		}
+
+		return result;
+	});
+
+	/**
+	 * Emit an event.
+	 * Listeners are called in order of priority,
+	 * any of them can call `this.stop()` to stop the propagation.
+	 * (Asynchronous `series` listeners can also do so before calling back)
+	 * If the last argument is a function, it will be called when
+	 * all listeners are done, with an error & whether it was stopped.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.1.9
+	 * @version  0.4.3
 	 *
 	 * @param    {String|Object}   type
 	 */
@@ -1046,27 +1714,13 @@ module.exports = function BlastInformer(Blast, Collection) {
 
 			var listener,
 			    context,
-			    config,
-			    octx;
+			    config;
 
 			// Skip the first 2 items
 			if (index < 2) return;
 
 			listener = list[0];
-			octx = context = list[2];
-
-			// Create an augmented context for every listener
-			context = Object.create(context || that);
-			context.fullType = type;
-			context.type = typeName;
-			context.filter = filter;
-			context.wait = wait;
-			context.stop = stop;
-			context.that = octx || that;
-
-			// Store async config in another object,
-			// to save from any more augmentations
-			context.asyncConfig = {};
+			context = createContext(that, list, type, typeName, filter);
 			config = context.asyncConfig;
 
 			tasks[tasks.length] = function doListener(next) {
@@ -1100,7 +1754,15 @@ module.exports = function BlastInformer(Blast, Collection) {
 
 				// Series-functions should just call next themselves
 				if (config.async === 'series') {
-					config.ListenerCallback = next;
+					config.ListenerCallback = function seriesDone(err) {
+
+						// The listener can also stop the emit asynchronously
+						if (context.ListenerSaysStop) {
+							shouldBeStopped = true;
+						}
+
+						next(err);
+					};
 					return;
 				}
 
@@ -1151,13 +1813,50 @@ module.exports = function BlastInformer(Blast, Collection) {
 		return this;
 	});
 
+	/**
+	 * Create the augmented context a listener is called with
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}        informer
+	 * @param    {Array}           list       The listener entry
+	 * @param    {String|Object}   type       The emitted type
+	 * @param    {String}          typeName
+	 * @param    {Object}          filter
+	 *
+	 * @return   {Object}
+	 */
+	function createContext(informer, list, type, typeName, filter) {
+
+		var octx = list[2],
+		    context = Object.create(octx || informer);
+
+		context.fullType = type;
+		context.type = typeName;
+		context.filter = filter;
+		context.wait = wait;
+		context.stop = stop;
+		context.that = octx || informer;
+		context.priority = list[3] || 0;
+
+		// Store async config in another object,
+		// to save from any more augmentations
+		context.asyncConfig = {};
+
+		return context;
+	}
+
 	/**
 	 * A method to indicate we have to wait for it to finish,
 	 * because it is asynchronous.
+	 * The function it returns can also be given a result,
+	 * which is used by `emitCollect`
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.1.4
+	 * @version  0.4.3
 	 *
 	 * @return   {Function}   The function to call when done
 	 */
@@ -1173,8 +1872,9 @@ module.exports = function BlastInformer(Blast, Collection) {
 		// Indicate we're going to have to wait
 		config.async = type;
 
-		function next(err) {
+		function next(err, result) {
 			config.err = err;
+			config.result = result;
 			config.ListenerIsDone = true;
 
 			if (config.ListenerCallback) {
@@ -1186,7 +1886,8 @@ module.exports = function BlastInformer(Blast, Collection) {
 	}
 
 	/**
-	 * Stop, do not call any more listeners
+	 * Stop, do not call any more listeners.
+	 * This is available as `this.stop()` inside listeners.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
@@ -1211,5 +1912,530 @@ module.exports = function BlastInformer(Blast, Collection) {
 		}
 	});
 
+	/**
+	 * Emit an event and collect what every listener returned.
+	 * Asynchronous listeners can return a thenable, or call `this.wait()`
+	 * and pass their result as the second argument of the callback.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String|Object}   type
+	 *
+	 * @return   {Pledge}   A pledge of an array of the results
+	 */
+	Informer.setMethod(function emitCollect(type) {
+
+		var args = new Array(arguments.length - 1),
+		    i;
+
+		for (i = 1; i < arguments.length; i++) args[i-1] = arguments[i];
+
+		return collectEmit(this, null, type, args);
+	});
+
+	/**
+	 * Emit an event and collect the results of the listeners,
+	 * using the given options:
+	 * `first` resolves with the first result that isn't undefined
+	 * (no more listeners are called after that),
+	 * `reduce` & `initial` reduce the results to a single value,
+	 * `aggregate_errors` calls all listeners even when some of them fail,
+	 * and then rejects with an error containing all the `errors`
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}          options
+	 * @param    {String|Object}   type
+	 *
+	 * @return   {Pledge}
+	 */
+	Informer.setMethod(function emitCollectWith(options, type) {
+
+		var args = new Array(Math.max(arguments.length - 2, 0)),
+		    i;
+
+		for (i = 2; i < arguments.length; i++) args[i-2] = arguments[i];
+
+		return collectEmit(this, options, type, args);
+	});
+
+	/**
+	 * Call the listeners of the given type & collect their results
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}        informer
+	 * @param    {Object}          options
+	 * @param    {String|Object}   type
+	 * @param    {Array}           args
+	 *
+	 * @return   {Pledge}
+	 */
+	function collectEmit(informer, options, type, args) {
+
+		var shouldBeStopped,
+		    pledge = new Blast.Classes.Pledge(),
+		    listeners,
+		    typeName,
+		    subtasks = [],
+		    results = [],
+		    errors = [],
+		    filter,
+		    called = [],
+		    tasks = [];
+
+		if (!options) {
+			options = {};
+		}
+
+		listeners = informer.queryListeners(type, true);
+		typeName = listeners[0];
+		filter = listeners[1];
+
+		// Store the outcome of a listener
+		function settle(index, err, result, next) {
+
+			if (err) {
+				if (options.aggregate_errors) {
+					errors.push(err);
+					return next();
+				}
+
+				return next(err);
+			}
+
+			called[index] = true;
+			results[index] = result;
+
+			if (options.first && result !== undefined) {
+				shouldBeStopped = true;
+			}
+
+			next();
+		}
+
+		listeners.forEach(function eachListener(list, index) {
+
+			var listener,
+			    context,
+			    config;
+
+			// Skip the first 2 items
+			if (index < 2) return;
+
+			listener = list[0];
+			context = createContext(informer, list, type, typeName, filter);
+			config = context.asyncConfig;
+
+			tasks[tasks.length] = function doListener(next) {
+
+				var result;
+
+				if (shouldBeStopped) {
+					return next();
+				}
+
+				try {
+					result = listener.apply(context, args);
+				} catch (err) {
+					return settle(index, err, null, next);
+				}
+
+				if (context.ListenerSaysStop) {
+					shouldBeStopped = true;
+				}
+
+				if (config.async) {
+
+					if (config.ListenerIsDone) {
+						return settle(index, config.err, config.result, next);
+					}
+
+					if (config.async === 'series') {
+						config.ListenerCallback = function seriesDone(err) {
+
+							if (context.ListenerSaysStop) {
+								shouldBeStopped = true;
+							}
+
+							settle(index, err, config.result, next);
+						};
+						return;
+					}
+
+					subtasks[subtasks.length] = function parallelHandler(nextSub) {
+
+						if (config.ListenerIsDone) {
+							return settle(index, config.err, config.result, nextSub);
+						}
+
+						config.ListenerCallback = function parallelDone(err) {
+							settle(index, err, config.result, nextSub);
+						};
+					};
+
+					return next();
+				}
+
+				// Wait for returned thenables
+				if (result && typeof result.then == 'function') {
+					return result.then(function resolved(value) {
+						settle(index, null, value, next);
+					}, function rejected(err) {
+						settle(index, err || new Error('The listener rejected without a reason'), null, next);
+					});
+				}
+
+				settle(index, null, result, next);
+			};
+		});
+
+		Collection.Function.series(false, tasks, function seriesDone(err) {
+
+			if (err || !subtasks.length) {
+				return done(err);
+			}
+
+			Collection.Function.parallel(false, subtasks, done);
+		});
+
+		function done(err) {
+
+			var values = [],
+			    error,
+			    i;
+
+			if (err) {
+				return pledge.reject(err);
+			}
+
+			for (i = 0; i < called.length; i++) {
+				if (called[i]) {
+					values.push(results[i]);
+				}
+			}
+
+			if (errors.length) {
+
+				if (typeof AggregateError == 'function') {
+					error = new AggregateError(errors, 'Some listeners failed');
+				} else {
+					error = new Error('Some listeners failed');
+					error.errors = errors;
+				}
+
+				// Also add the results of the listeners that didn't fail
+				error.results = values;
+
+				return pledge.reject(error);
+			}
+
+			if (options.first) {
+				for (i = 0; i < values.length; i++) {
+					if (values[i] !== undefined) {
+						return pledge.resolve(values[i]);
+					}
+				}
+
+				return pledge.resolve(undefined);
+			}
+
+			if (typeof options.reduce == 'function') {
+				try {
+					if ('initial' in options) {
+						values = values.reduce(options.reduce, options.initial);
+					} else {
+						values = values.reduce(options.reduce);
+					}
+				} catch (err) {
+					return pledge.reject(err);
+				}
+			}
+
+			pledge.resolve(values);
+		}
+
+		return pledge;
+	}
+
+	/**
+	 * Get an async iterator that yields the arguments of every emit
+	 * of the given type, for use in `for await` loops.
+	 * The listener is removed when the loop exits.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String|Object}   type
+	 * @param    {Object}          options
+	 *
+	 * @return   {EventIterator}
+	 */
+	Informer.setMethod(function events(type, options) {
+		return new EventIterator(this, type, options);
+	});
+
+	/**
+	 * The EventIterator class:
+	 * an async iterator over the events of an informer
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}        informer
+	 * @param    {String|Object}   type
+	 * @param    {Object}          options   `max_buffer`, `overflow` & `signal`
+	 */
+	var EventIterator = Collection.Function.inherits(null, function EventIterator(informer, type, options) {
+
+		var that = this;
+
+		if (!options) {
+			options = {};
+		}
+
+		this.informer = informer;
+		this.type = type;
+
+		// The maximum amount of unconsumed events to keep
+		this.max_buffer = options.max_buffer > 0 ? options.max_buffer : Infinity;
+
+		// What to do when the buffer is full:
+		// 'drop_oldest', 'drop_newest' or 'error'
+		this.overflow = options.overflow || 'drop_oldest';
+
+		// The amount of events that were dropped
+		this.dropped = 0;
+
+		// Has the iterator finished?
+		this.done = false;
+
+		// The error the iterator finished with
+		this.error = null;
+
+		// Events that have not been consumed yet
+		this._buffer = [];
+
+		// Pledges of `next` calls that are waiting for an event
+		this._waiting = [];
+
+		this._listener = function onEvent() {
+			that._push(Collection.Array.cast(arguments));
+		};
+
+		informer.on(type, this._listener);
+
+		if (options.signal) {
+			this._signal = options.signal;
+
+			if (options.signal.aborted) {
+				this._abort();
+			} else {
+				this._on_abort = function onAbort() {
+					that._abort();
+				};
+
+				options.signal.addEventListener('abort', this._on_abort);
+			}
+		}
+	});
+
+	/**
+	 * Return the iterator itself for `for await` loops
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {EventIterator}
+	 */
+	if (typeof Symbol == 'function' && Symbol.asyncIterator) {
+		EventIterator.setMethod(Symbol.asyncIterator, function asyncIterator() {
+			return this;
+		});
+	}
+
+	/**
+	 * Add the arguments of an event to the buffer,
+	 * or hand them to a waiting `next` call
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   args
+	 */
+	EventIterator.setMethod(function _push(args) {
+
+		var err;
+
+		if (this.done) {
+			return;
+		}
+
+		if (this._waiting.length) {
+			return this._waiting.shift().resolve({value: args, done: false});
+		}
+
+		if (this._buffer.length >= this.max_buffer) {
+			this.dropped++;
+
+			if (this.overflow == 'drop_newest') {
+				return;
+			}
+
+			if (this.overflow == 'error') {
+				err = new Error('The event buffer of ' + this.max_buffer + ' events is full');
+				err.code = 'EBUFFERFULL';
+				return this._finish(err);
+			}
+
+			this._buffer.shift();
+		}
+
+		this._buffer.push(args);
+	});
+
+	/**
+	 * Get the next event
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Pledge}
+	 */
+	EventIterator.setMethod(function next() {
+
+		var pledge = new Blast.Classes.Pledge();
+
+		if (this._buffer.length) {
+			pledge.resolve({value: this._buffer.shift(), done: false});
+		} else if (this.error) {
+			pledge.reject(this.error);
+
+			// Only report the error once
+			this.error = null;
+		} else if (this.done) {
+			pledge.resolve({value: undefined, done: true});
+		} else {
+			this._waiting.push(pledge);
+		}
+
+		return pledge;
+	});
+
+	/**
+	 * Stop iterating: this is called when a `for await` loop exits early.
+	 * Buffered events are discarded.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Mixed}   value
+	 *
+	 * @return   {Pledge}
+	 */
+	EventIterator.setMethod(['return', 'cancel'], function _return(value) {
+
+		var pledge = new Blast.Classes.Pledge();
+
+		this._buffer.length = 0;
+		this._finish();
+
+		pledge.resolve({value: value, done: true});
+
+		return pledge;
+	});
+
+	/**
+	 * Stop iterating because of an error
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Error}   err
+	 *
+	 * @return   {Pledge}
+	 */
+	EventIterator.setMethod('throw', function _throw(err) {
+
+		var pledge = new Blast.Classes.Pledge();
+
+		this._buffer.length = 0;
+		this._finish();
+
+		pledge.reject(err);
+
+		return pledge;
+	});
+
+	/**
+	 * The abort signal was triggered
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	EventIterator.setMethod(function _abort() {
+		this._buffer.length = 0;
+		this._finish(new Blast.Classes.AbortError());
+	});
+
+	/**
+	 * Remove the listener and settle the waiting `next` calls
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Error}   err
+	 */
+	EventIterator.setMethod(function _finish(err) {
+
+		var waiting = this._waiting,
+		    i;
+
+		if (this.done) {
+			return;
+		}
+
+		this.done = true;
+		this._waiting = [];
+
+		this.informer.removeListener(this.type, this._listener);
+
+		if (this._on_abort) {
+			this._signal.removeEventListener('abort', this._on_abort);
+			this._on_abort = null;
+		}
+
+		for (i = 0; i < waiting.length; i++) {
+			if (err) {
+				waiting[i].reject(err);
+
+				// The error has been reported
+				err = null;
+			} else {
+				waiting[i].resolve({value: undefined, done: true});
+			}
+		}
+
+		// Report the error on the next call instead
+		if (err) {
+			this.error = err;
+		}
+	});
+
 	Blast.defineClass('Informer', Informer);
 };
\ No newline at end of file
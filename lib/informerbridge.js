@@ -0,0 +1,300 @@
+module.exports = function BlastInformerBridge(Blast, Collection) {
+
+	/**
+	 * The InformerBridge class:
+	 * relays the events of an informer over a `postMessage`-style port,
+	 * like a worker_threads MessagePort, a child process or a browser Worker.
+	 * The emitted arguments are serialized using JSON-dry.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Informer}   informer   The local informer
+	 * @param    {Object}     port       The port to send & receive messages on
+	 * @param    {Object}     options
+	 */
+	var Bridge = Collection.Function.inherits(null, function InformerBridge(informer, port, options) {
+
+		var that = this;
+
+		if (!options) {
+			options = {};
+		}
+
+		// The local informer
+		this.informer = informer;
+
+		// The port messages are sent over
+		this.port = port;
+
+		// Multiple bridges can share a port by using different channels
+		this.channel = options.channel || '';
+
+		// Callbacks waiting for a reply, by their id
+		this.callbacks = {};
+
+		// The id of the last sent message
+		this.last_id = 0;
+
+		// Has this bridge been destroyed?
+		this.destroyed = false;
+
+		// The type of the event that is being emitted locally
+		// after it came in over the port
+		this._relaying = null;
+
+		// The listeners added to the local informer, by `forward`
+		this._forwarded = [];
+
+		this._onMessage = function onMessage(message) {
+
+			// Browser ports wrap the data in an event
+			if (message && message.data !== undefined && typeof message.type == 'string' && message.target) {
+				message = message.data;
+			}
+
+			that._receive(message);
+		};
+
+		if (typeof port.on == 'function') {
+			port.on('message', this._onMessage);
+		} else if (typeof port.addEventListener == 'function') {
+			port.addEventListener('message', this._onMessage);
+
+			// MessagePorts in the browser have to be started
+			if (typeof port.start == 'function') {
+				port.start();
+			}
+		} else {
+			port.onmessage = this._onMessage;
+		}
+	});
+
+	/**
+	 * Forward the given events of the local informer over the port.
+	 * Use `emit` on the bridge itself to get a reply callback.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String|Object}   type
+	 *
+	 * @return   {InformerBridge}
+	 */
+	Bridge.setMethod(function forward(type) {
+
+		var that = this,
+		    listener,
+		    i;
+
+		if (Array.isArray(type)) {
+			for (i = 0; i < type.length; i++) {
+				this.forward(type[i]);
+			}
+
+			return this;
+		}
+
+		listener = function forwardEvent() {
+
+			var args = Collection.Array.cast(arguments);
+
+			// The local emit already calls its own callback,
+			// so that isn't sent along
+			if (typeof args[args.length - 1] == 'function') {
+				args.pop();
+			}
+
+			args.unshift(this.fullType);
+
+			that.emit.apply(that, args);
+		};
+
+		this._forwarded.push([type, listener]);
+		this.informer.on(type, listener);
+
+		return this;
+	});
+
+	/**
+	 * Send an event over the port.
+	 * If the last argument is a function, it will be called
+	 * when the other side is done emitting it
+	 * (asynchronous listeners over there use `this.wait()`).
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String|Object}   type
+	 *
+	 * @return   {InformerBridge}
+	 */
+	Bridge.setMethod(function emit(type) {
+
+		var callback,
+		    message,
+		    args,
+		    i;
+
+		if (this.destroyed) {
+			return this;
+		}
+
+		// Don't send back an event that just came in
+		if (this._relaying && this._relaying === type) {
+			return this;
+		}
+
+		args = [];
+
+		for (i = 1; i < arguments.length; i++) {
+			args.push(arguments[i]);
+		}
+
+		if (typeof args[args.length - 1] == 'function') {
+			callback = args.pop();
+		}
+
+		message = {
+			informer_bridge : this.channel,
+			type            : type,
+			args            : Collection.JSON.dry(args)
+		};
+
+		if (callback) {
+			message.id = ++this.last_id;
+			this.callbacks[message.id] = callback;
+		}
+
+		this._send(message);
+
+		return this;
+	});
+
+	/**
+	 * Post a message on the port
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   message
+	 */
+	Bridge.setMethod(function _send(message) {
+
+		// Child processes use `send` instead of `postMessage`
+		if (typeof this.port.postMessage == 'function') {
+			this.port.postMessage(message);
+		} else {
+			this.port.send(message);
+		}
+	});
+
+	/**
+	 * Handle an incoming message
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   message
+	 */
+	Bridge.setMethod(function _receive(message) {
+
+		var that = this,
+		    callback,
+		    replied,
+		    args;
+
+		// Ignore messages that are not meant for this bridge
+		if (this.destroyed || !message || message.informer_bridge !== this.channel) {
+			return;
+		}
+
+		args = Collection.JSON.undry(message.args) || [];
+
+		// This is the reply to an event we sent
+		if (message.reply_to) {
+			callback = this.callbacks[message.reply_to];
+			delete this.callbacks[message.reply_to];
+
+			if (callback) {
+				callback.apply(null, args);
+			}
+
+			return;
+		}
+
+		if (message.id) {
+			args.push(function reply() {
+
+				var reply_args = [],
+				    i;
+
+				// Only the first reply is sent
+				if (replied || that.destroyed) {
+					return;
+				}
+
+				replied = true;
+
+				for (i = 0; i < arguments.length; i++) {
+					reply_args.push(arguments[i]);
+				}
+
+				that._send({
+					informer_bridge : that.channel,
+					reply_to        : message.id,
+					args            : Collection.JSON.dry(reply_args)
+				});
+			});
+		}
+
+		args.unshift(message.type);
+
+		this._relaying = message.type;
+
+		try {
+			this.informer.emit.apply(this.informer, args);
+		} finally {
+			this._relaying = null;
+		}
+	});
+
+	/**
+	 * Stop relaying events and stop listening to the port
+	 * and the local informer
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	Bridge.setMethod(function destroy() {
+
+		var i;
+
+		if (this.destroyed) {
+			return;
+		}
+
+		this.destroyed = true;
+		this.callbacks = {};
+
+		for (i = 0; i < this._forwarded.length; i++) {
+			this.informer.removeListener(this._forwarded[i][0], this._forwarded[i][1]);
+		}
+
+		this._forwarded = [];
+
+		if (typeof this.port.removeListener == 'function') {
+			this.port.removeListener('message', this._onMessage);
+		} else if (typeof this.port.removeEventListener == 'function') {
+			this.port.removeEventListener('message', this._onMessage);
+		} else if (this.port.onmessage === this._onMessage) {
+			this.port.onmessage = null;
+		}
+	});
+};
@@ -144,8 +144,12 @@ module.exports = function BlastInit(modifyPrototype) {
 		'Date',
 		'Error',
 		'Informer',
+		'InformerBridge',
 		'Request',
+		'CookieJar',
+		'RateLimiter',
 		'FunctionQueue',
+		'QueueStorage',
 		'Iterator',
 		'Deck',
 		'JSON',
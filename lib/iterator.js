@@ -118,5 +118,558 @@ module.exports = function BlastIterator(Blast, Collection) {
 		this._iterNextIndex = 0;
 	});
 
+	/**
+	 * Get an Iterator for the given value:
+	 * arrays & objects are iterated like in the constructor,
+	 * other ES iterables & iterators are wrapped
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Mixed}   iterable
+	 *
+	 * @return   {Iterator}
+	 */
+	Iterator.setStatic(function from(iterable) {
+
+		var source;
+
+		// Decks (and arrays) create a new iterator
+		if (iterable && typeof iterable.createIterator == 'function') {
+			return iterable.createIterator();
+		}
+
+		if (iterable instanceof Iterator) {
+			return iterable;
+		}
+
+		if (iterable && !Array.isArray(iterable) && typeof iterable != 'string') {
+
+			if (typeof Symbol == 'function' && typeof iterable[Symbol.iterator] == 'function') {
+				source = iterable[Symbol.iterator]();
+			} else if (typeof iterable.next == 'function') {
+				source = iterable;
+			}
+
+			// ES iterators can't be reset
+			if (source) {
+				return new LazyIterator([], function nextValue() {
+					return source.next();
+				});
+			}
+		}
+
+		if (typeof iterable == 'string') {
+			iterable = iterable.split('');
+		}
+
+		return new Iterator(iterable);
+	});
+
+	/**
+	 * Lazily map the values
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   fnc   Called with the value & its index
+	 *
+	 * @return   {LazyIterator}
+	 */
+	Iterator.setMethod(function map(fnc) {
+		return new LazyIterator([this], function nextValue(source, state) {
+
+			var entry = source.next();
+
+			if (entry.done) {
+				return entry;
+			}
+
+			return {value: fnc(entry.value, state.index++), done: false};
+		});
+	});
+
+	/**
+	 * Lazily only return the values that pass the filter
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   fnc   Called with the value & its index
+	 *
+	 * @return   {LazyIterator}
+	 */
+	Iterator.setMethod(function filter(fnc) {
+		return new LazyIterator([this], function nextValue(source, state) {
+
+			var entry;
+
+			do {
+				entry = source.next();
+			} while (!entry.done && !fnc(entry.value, state.index++));
+
+			return entry;
+		});
+	});
+
+	/**
+	 * Lazily return at most the given amount of values
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   amount
+	 *
+	 * @return   {LazyIterator}
+	 */
+	Iterator.setMethod(function take(amount) {
+		return new LazyIterator([this], function nextValue(source, state) {
+
+			// Don't pull more values from the source than needed
+			if (state.index >= amount) {
+				return {done: true};
+			}
+
+			state.index++;
+
+			return source.next();
+		});
+	});
+
+	/**
+	 * Lazily skip the given amount of values
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   amount
+	 *
+	 * @return   {LazyIterator}
+	 */
+	Iterator.setMethod(function skip(amount) {
+		return new LazyIterator([this], function nextValue(source, state) {
+
+			var entry;
+
+			while (state.index < amount) {
+				state.index++;
+				entry = source.next();
+
+				if (entry.done) {
+					return entry;
+				}
+			}
+
+			return source.next();
+		});
+	});
+
+	/**
+	 * Lazily return values until one fails the test
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   fnc   Called with the value & its index
+	 *
+	 * @return   {LazyIterator}
+	 */
+	Iterator.setMethod(function takeWhile(fnc) {
+		return new LazyIterator([this], function nextValue(source, state) {
+
+			var entry;
+
+			if (state.stopped) {
+				return {done: true};
+			}
+
+			entry = source.next();
+
+			if (!entry.done && !fnc(entry.value, state.index++)) {
+				state.stopped = true;
+				return {done: true};
+			}
+
+			return entry;
+		});
+	});
+
+	/**
+	 * Lazily group the values in arrays of the given size
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   size
+	 *
+	 * @return   {LazyIterator}
+	 */
+	Iterator.setMethod(function chunk(size) {
+
+		if (!(size >= 1)) {
+			throw new RangeError('The chunk size should be at least 1');
+		}
+
+		return new LazyIterator([this], function nextValue(source) {
+
+			var values = [],
+			    entry;
+
+			while (values.length < size) {
+				entry = source.next();
+
+				if (entry.done) {
+					break;
+				}
+
+				values.push(entry.value);
+			}
+
+			if (!values.length) {
+				return {done: true};
+			}
+
+			return {value: values, done: false};
+		});
+	});
+
+	/**
+	 * Lazily combine the values with the values of other iterables,
+	 * until one of them is done
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Mixed}   iterable...
+	 *
+	 * @return   {LazyIterator}
+	 */
+	Iterator.setMethod(function zip() {
+
+		var sources = [this],
+		    i;
+
+		for (i = 0; i < arguments.length; i++) {
+			sources.push(Iterator.from(arguments[i]));
+		}
+
+		return new LazyIterator(sources, function nextValue() {
+
+			var values = [],
+			    entry,
+			    i;
+
+			for (i = 0; i < sources.length; i++) {
+				entry = sources[i].next();
+
+				if (entry.done) {
+					return entry;
+				}
+
+				values.push(entry.value);
+			}
+
+			return {value: values, done: false};
+		});
+	});
+
+	/**
+	 * Lazily map the values and flatten the returned arrays & iterables
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   fnc   Called with the value & its index
+	 *
+	 * @return   {LazyIterator}
+	 */
+	Iterator.setMethod(function flatMap(fnc) {
+		return new LazyIterator([this], function nextValue(source, state) {
+
+			var result,
+			    entry;
+
+			while (true) {
+
+				if (state.inner) {
+					entry = state.inner.next();
+
+					if (!entry.done) {
+						return entry;
+					}
+
+					state.inner = null;
+				}
+
+				entry = source.next();
+
+				if (entry.done) {
+					return entry;
+				}
+
+				result = fnc(entry.value, state.index++);
+
+				if (!isIterable(result)) {
+					return {value: result, done: false};
+				}
+
+				state.inner = Iterator.from(result);
+			}
+		});
+	});
+
+	/**
+	 * Reduce the remaining values to a single value
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   fnc       Called with the result, value & index
+	 * @param    {Mixed}      initial
+	 *
+	 * @return   {Mixed}
+	 */
+	Iterator.setMethod(function reduce(fnc, initial) {
+
+		var result = initial,
+		    index = 0,
+		    entry;
+
+		if (arguments.length < 2) {
+			entry = this.next();
+
+			if (entry.done) {
+				throw new TypeError('Reduce of empty iterator with no initial value');
+			}
+
+			result = entry.value;
+			index++;
+		}
+
+		while (!(entry = this.next()).done) {
+			result = fnc(result, entry.value, index++);
+		}
+
+		return result;
+	});
+
+	/**
+	 * Get the remaining values as an array
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Array}
+	 */
+	Iterator.setMethod(function toArray() {
+
+		var result = [],
+		    entry;
+
+		while (!(entry = this.next()).done) {
+			result.push(entry.value);
+		}
+
+		return result;
+	});
+
+	if (typeof Symbol == 'function') {
+
+		/**
+		 * Make iterators usable in `for...of` loops
+		 *
+		 * @author   Jelle De Loecker   <jelle@develry.be>
+		 * @since    0.4.3
+		 * @version  0.4.3
+		 *
+		 * @return   {Iterator}
+		 */
+		Iterator.setMethod(Symbol.iterator, function iterator() {
+			return this;
+		});
+
+		/**
+		 * Make iterators usable in `for await...of` loops
+		 *
+		 * @author   Jelle De Loecker   <jelle@develry.be>
+		 * @since    0.4.3
+		 * @version  0.4.3
+		 *
+		 * @return   {Object}
+		 */
+		if (Symbol.asyncIterator) {
+			Iterator.setMethod(Symbol.asyncIterator, function asyncIterator() {
+
+				var iterator = this[Symbol.iterator](),
+				    result = {};
+
+				result.next = function next() {
+
+					var pledge = new Blast.Classes.Pledge();
+
+					try {
+						pledge.resolve(iterator.next());
+					} catch (err) {
+						pledge.reject(err);
+					}
+
+					return pledge;
+				};
+
+				result[Symbol.asyncIterator] = function asyncIterator() {
+					return result;
+				};
+
+				return result;
+			});
+		}
+	}
+
+	/**
+	 * The LazyIterator class:
+	 * gets its values from other iterators when they are needed
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}      sources   The iterators the values come from
+	 * @param    {Function}   fnc       Returns the next entry
+	 */
+	var LazyIterator = Collection.Function.inherits('Iterator', function LazyIterator(sources, fnc) {
+
+		// The iterators the values come from
+		this.sources = sources;
+
+		// The function that returns the next entry
+		this.fnc = fnc;
+
+		// State used by the function, cleared on reset
+		this.state = {index: 0};
+
+		// The entry that was fetched by `hasNext`
+		this._peeked = null;
+
+		// Is the iterator done?
+		this.done = false;
+	});
+
+	/**
+	 * See if there is a next item
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Boolean}
+	 */
+	LazyIterator.setMethod(function hasNext() {
+
+		if (this.done) {
+			return false;
+		}
+
+		if (!this._peeked) {
+			this._peeked = this.next();
+		}
+
+		return !this._peeked.done;
+	});
+
+	/**
+	 * Return the next item
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Object}
+	 */
+	LazyIterator.setMethod(function next() {
+
+		var entry;
+
+		if (this._peeked) {
+			entry = this._peeked;
+			this._peeked = null;
+			return entry;
+		}
+
+		if (this.done) {
+			return {done: true};
+		}
+
+		entry = this.fnc(this.sources[0], this.state);
+
+		if (!entry || entry.done) {
+			this.done = true;
+			return {done: true};
+		}
+
+		return {
+			index : this._iterNextIndex++,
+			value : entry.value,
+			done  : false
+		};
+	});
+
+	/**
+	 * Reset the iterator & its sources, go back to the beginning
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	LazyIterator.setMethod(function reset() {
+
+		var i;
+
+		this._iterNextIndex = 0;
+		this._peeked = null;
+		this.done = false;
+		this.state = {index: 0};
+
+		for (i = 0; i < this.sources.length; i++) {
+			if (typeof this.sources[i].reset == 'function') {
+				this.sources[i].reset();
+			}
+		}
+	});
+
+	/**
+	 * Can the given value be flattened by `flatMap`?
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Mixed}   value
+	 *
+	 * @return   {Boolean}
+	 */
+	function isIterable(value) {
+
+		if (!value || typeof value != 'object') {
+			return false;
+		}
+
+		if (Array.isArray(value) || value instanceof Iterator) {
+			return true;
+		}
+
+		return typeof Symbol == 'function' && typeof value[Symbol.iterator] == 'function';
+	}
+
 	Blast.defineClass('Iterator', Iterator);
 };
\ No newline at end of file
@@ -23,11 +23,12 @@ module.exports = function BlastPledge(Blast, Collection) {
 	});
 
 	/**
-	 * The initial state is 0 (pending)
+	 * The initial state is 0 (pending).
+	 * 1 is resolved, 2 is rejected and 3 is cancelled
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.4.0
-	 * @version  0.4.0
+	 * @version  0.4.3
 	 *
 	 * @type     {Number}
 	 */
@@ -75,6 +76,26 @@ module.exports = function BlastPledge(Blast, Collection) {
 	 */
 	Pledge.setProperty('_on_rejected', null);
 
+	/**
+	 * An array with functions to call when this pledge is cancelled
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	Pledge.setProperty('_on_cancel', null);
+
+	/**
+	 * The amount of derived pledges that have been cancelled
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {Number}
+	 */
+	Pledge.setProperty('_cancelled_subs', 0);
+
 	/**
 	 * Determine if an object is an instance of Pledge
 	 *
@@ -88,12 +109,340 @@ module.exports = function BlastPledge(Blast, Collection) {
 		return !!obj && typeof obj.sub_pledges == 'number';
 	});
 
+	/**
+	 * Return a pledge that resolves once all the given values resolve,
+	 * or rejects as soon as one of them rejects
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   iterable   Pledges, thenables or plain values
+	 *
+	 * @return   {Pledge}
+	 */
+	Pledge.setStatic(function all(iterable) {
+
+		var pledges = castPledges(iterable),
+		    result = new Pledge(),
+		    values = new Array(pledges.length),
+		    remaining = pledges.length;
+
+		if (!remaining) {
+			result.resolve(values);
+			return result;
+		}
+
+		aggregateProgress(result, pledges, false);
+
+		pledges.forEach(function eachPledge(pledge, index) {
+			pledge.then(function onFulfilled(value) {
+
+				values[index] = value;
+
+				if (--remaining === 0 && result.state === 0) {
+					result.resolve(values);
+				}
+			}, function onRejected(reason) {
+				if (result.state === 0) {
+					result.reject(reason);
+				}
+			});
+		});
+
+		return result;
+	});
+
+	/**
+	 * Return a pledge that settles the same way
+	 * the first of the given values settles
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   iterable   Pledges, thenables or plain values
+	 *
+	 * @return   {Pledge}
+	 */
+	Pledge.setStatic(function race(iterable) {
+
+		var pledges = castPledges(iterable),
+		    result = new Pledge();
+
+		aggregateProgress(result, pledges, true);
+
+		pledges.forEach(function eachPledge(pledge) {
+			pledge.then(function onFulfilled(value) {
+				if (result.state === 0) {
+					result.resolve(value);
+				}
+			}, function onRejected(reason) {
+				if (result.state === 0) {
+					result.reject(reason);
+				}
+			});
+		});
+
+		return result;
+	});
+
+	/**
+	 * Return a pledge that resolves once all the given values have settled,
+	 * with an array of `{status, value}` or `{status, reason}` objects
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   iterable   Pledges, thenables or plain values
+	 *
+	 * @return   {Pledge}
+	 */
+	Pledge.setStatic(function allSettled(iterable) {
+
+		var pledges = castPledges(iterable),
+		    result = new Pledge(),
+		    values = new Array(pledges.length),
+		    remaining = pledges.length;
+
+		if (!remaining) {
+			result.resolve(values);
+			return result;
+		}
+
+		aggregateProgress(result, pledges, false);
+
+		function settled(index, entry) {
+
+			values[index] = entry;
+
+			if (--remaining === 0) {
+				result.resolve(values);
+			}
+		}
+
+		pledges.forEach(function eachPledge(pledge, index) {
+			pledge.then(function onFulfilled(value) {
+				settled(index, {status: 'fulfilled', value: value});
+			}, function onRejected(reason) {
+				settled(index, {status: 'rejected', reason: reason});
+			});
+		});
+
+		return result;
+	});
+
+	/**
+	 * Return a pledge that resolves as soon as one of the given values resolves,
+	 * or rejects with an error containing all the reasons if they all reject
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   iterable   Pledges, thenables or plain values
+	 *
+	 * @return   {Pledge}
+	 */
+	Pledge.setStatic(function any(iterable) {
+
+		var pledges = castPledges(iterable),
+		    result = new Pledge(),
+		    reasons = new Array(pledges.length),
+		    remaining = pledges.length;
+
+		if (!remaining) {
+			result.reject(createAggregateError(reasons));
+			return result;
+		}
+
+		aggregateProgress(result, pledges, true);
+
+		pledges.forEach(function eachPledge(pledge, index) {
+			pledge.then(function onFulfilled(value) {
+				if (result.state === 0) {
+					result.resolve(value);
+				}
+			}, function onRejected(reason) {
+
+				reasons[index] = reason;
+
+				if (--remaining === 0 && result.state === 0) {
+					result.reject(createAggregateError(reasons));
+				}
+			});
+		});
+
+		return result;
+	});
+
+	/**
+	 * Return a pledge that resolves with the given value after `ms` milliseconds.
+	 * Cancelling the pledge clears the timer.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   ms
+	 * @param    {Mixed}    value
+	 *
+	 * @return   {Pledge}
+	 */
+	Pledge.setStatic(function delay(ms, value) {
+
+		var pledge = new Pledge(),
+		    bomb;
+
+		bomb = Collection.Function.timebomb(ms, function onExplode() {
+			pledge.resolve(value);
+		});
+
+		pledge.onCancel(function onCancel() {
+			bomb.defuse();
+		});
+
+		return pledge;
+	});
+
+	/**
+	 * Turn the given iterable into an array of pledges
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   iterable
+	 *
+	 * @return   {Array}
+	 */
+	function castPledges(iterable) {
+
+		var result = [],
+		    values,
+		    entry,
+		    iter,
+		    i;
+
+		if (!Array.isArray(iterable) && iterable && typeof Symbol == 'function' && typeof iterable[Symbol.iterator] == 'function') {
+			values = [];
+			iter = iterable[Symbol.iterator]();
+
+			while (!(entry = iter.next()).done) {
+				values.push(entry.value);
+			}
+		} else {
+			values = Blast.Bound.Array.cast(iterable);
+		}
+
+		for (i = 0; i < values.length; i++) {
+			entry = values[i];
+
+			if (!Pledge.isPledge(entry)) {
+				entry = new Pledge();
+				entry.resolve(values[i]);
+			}
+
+			result.push(entry);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Report the progress of the given child pledges on the parent pledge.
+	 * Settled children count as being complete.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Pledge}    parent
+	 * @param    {Array}     pledges
+	 * @param    {Boolean}   use_max   Use the highest progress instead of the average
+	 */
+	function aggregateProgress(parent, pledges, use_max) {
+
+		var finished = new Array(pledges.length);
+
+		function update(label) {
+
+			var progress,
+			    total = 0,
+			    i;
+
+			if (parent.state !== 0) {
+				return;
+			}
+
+			for (i = 0; i < pledges.length; i++) {
+				progress = finished[i] ? 100 : (pledges[i].progress || 0);
+
+				if (use_max) {
+					total = Math.max(total, progress);
+				} else {
+					total += progress;
+				}
+			}
+
+			if (!use_max) {
+				total = total / pledges.length;
+			}
+
+			if (total !== parent.progress) {
+				parent.reportProgress(total, label);
+			}
+		}
+
+		pledges.forEach(function eachPledge(pledge, index) {
+
+			pledge.on('progress', function onProgress(value, label) {
+				update(label);
+			});
+
+			pledge.then(function onFulfilled() {
+				finished[index] = true;
+				update();
+			}, function onRejected() {
+				finished[index] = true;
+				update();
+			});
+		});
+	}
+
+	/**
+	 * Create the error an `any` pledge rejects with
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Array}   reasons
+	 *
+	 * @return   {Error}
+	 */
+	function createAggregateError(reasons) {
+
+		var message = 'All pledges were rejected',
+		    err;
+
+		if (typeof AggregateError == 'function') {
+			err = new AggregateError(reasons, message);
+		} else {
+			err = new Error(message);
+			err.errors = reasons;
+		}
+
+		return err;
+	}
+
 	/**
 	 * Start the executor
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.4.0
-	 * @version  0.4.0
+	 * @version  0.4.3
 	 *
 	 * @param    {Boolean}   do_async   Do the executor asynchronously
 	 */
@@ -115,8 +464,9 @@ module.exports = function BlastPledge(Blast, Collection) {
 		// Indicate the resolver has started
 		this._started = true;
 
-		// Don't do anything if there is no executor
-		if (!this.executor) {
+		// Don't do anything if there is no executor,
+		// or if the pledge was cancelled before it could start
+		if (!this.executor || this.state === 3) {
 			return;
 		}
 
@@ -125,6 +475,8 @@ module.exports = function BlastPledge(Blast, Collection) {
 			that.resolve(value);
 		}, function reject(reason) {
 			that.reject(reason);
+		}, function onCancel(fnc) {
+			that.onCancel(fnc);
 		});
 	});
 
@@ -147,13 +499,21 @@ module.exports = function BlastPledge(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.4.0
-	 * @version  0.4.0
+	 * @version  0.4.3
 	 *
 	 * @param    {Number}   value   A value between 0-100
 	 * @param    {String}   label   An optional label
 	 */
 	Pledge.setMethod(function reportProgress(value, label) {
+
 		this.progress = value;
+
+		// Only emit when someone is listening:
+		// `emit` itself uses pledges to run the listeners
+		if (this._simpleListeners && this._simpleListeners.progress) {
+			this.emit('progress', value, label);
+		}
+
 		return this.progress;
 	});
 
@@ -162,13 +522,20 @@ module.exports = function BlastPledge(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.4.0
-	 * @version  0.4.0
+	 * @version  0.4.3
 	 */
 	Pledge.setMethod(function resolve(value) {
 
+		// A cancelled pledge can not be resolved anymore
+		if (this.state === 3) {
+			return;
+		}
+
 		this.state = 1;
 		this._resolved_value = value;
 
+		releasePledge(this);
+
 		this._doResolve(value);
 	});
 
@@ -205,13 +572,20 @@ module.exports = function BlastPledge(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.4.0
-	 * @version  0.4.0
+	 * @version  0.4.3
 	 */
 	Pledge.setMethod(function reject(reason) {
 
+		// A cancelled pledge can not be rejected anymore
+		if (this.state === 3) {
+			return;
+		}
+
 		this.state = 2;
 		this._rejected_reason = reason;
 
+		releasePledge(this);
+
 		this._doReject(reason);
 	});
 
@@ -248,24 +622,45 @@ module.exports = function BlastPledge(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.4.0
-	 * @version  0.4.0
+	 * @version  0.4.3
 	 */
 	Pledge.setMethod(function then(on_fulfilled, on_rejected) {
 
 		var then_pledge = new Pledge();
 
+		// Remember where the derived pledge came from,
+		// so cancellation can be propagated upstream
+		then_pledge._parent_pledge = this;
+
+		// Anything derived from a cancelled pledge is cancelled too
+		if (this.state === 3) {
+			then_pledge.cancel(this._cancelled_reason);
+			return then_pledge;
+		}
+
 		// Create the arrays only when listeners are added
 		if (this.sub_pledges == 0) {
 			this._on_fulfilled = [];
 			this._on_rejected = [];
+			this._then_pledges = [];
 		}
 
 		this.sub_pledges++;
 
+		// Only pending pledges can propagate cancellation
+		if (this.state === 0) {
+			this._then_pledges.push(then_pledge);
+		}
+
 		this._on_fulfilled.push(function onFulfilled(value) {
 
 			var result;
 
+			// Don't call the handler if the derived pledge was cancelled
+			if (then_pledge.state === 3) {
+				return;
+			}
+
 			try {
 				if (on_fulfilled) {
 					result = on_fulfilled(value);
@@ -283,6 +678,10 @@ module.exports = function BlastPledge(Blast, Collection) {
 
 			var result;
 
+			if (then_pledge.state === 3) {
+				return;
+			}
+
 			try {
 				if (on_rejected) {
 					result = on_rejected(reason);
@@ -317,4 +716,183 @@ module.exports = function BlastPledge(Blast, Collection) {
 		return this.then(null, on_rejected);
 	});
 
+	/**
+	 * Return a new pledge that follows this one,
+	 * but rejects with a TimeoutError if it hasn't settled after `ms` milliseconds.
+	 * When the deadline is reached this pledge is cancelled,
+	 * unless it has other consumers.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}         ms
+	 * @param    {String|Error}   reason   Optional message or error to reject with
+	 *
+	 * @return   {Pledge}
+	 */
+	Pledge.setMethod(function timeout(ms, reason) {
+
+		var result = new Pledge(),
+		    derived,
+		    bomb;
+
+		bomb = Collection.Function.timebomb(ms, function onExplode() {
+
+			var err;
+
+			if (reason instanceof Error) {
+				err = reason;
+			} else {
+				err = new Blast.Classes.TimeoutError(reason, ms);
+			}
+
+			derived.cancel(err);
+			result.reject(err);
+		});
+
+		derived = this.then(function onFulfilled(value) {
+			if (bomb.defuse()) {
+				result.resolve(value);
+			}
+		}, function onRejected(reason) {
+			if (bomb.defuse()) {
+				result.reject(reason);
+			}
+		});
+
+		// Cancelling the result stops the timer and the pledge it waits for
+		result.onCancel(function onCancel(reason) {
+			bomb.defuse();
+			derived.cancel(reason);
+		});
+
+		return result;
+	});
+
+	/**
+	 * Register a function to call when this pledge is cancelled.
+	 * If it has already been cancelled, it is called immediately.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   fnc
+	 */
+	Pledge.setMethod(function onCancel(fnc) {
+
+		if (this.state === 3) {
+			return fnc.call(this, this._cancelled_reason);
+		}
+
+		// Settled pledges can not be cancelled anymore
+		if (this.state !== 0) {
+			return;
+		}
+
+		if (!this._on_cancel) {
+			this._on_cancel = [];
+		}
+
+		this._on_cancel.push(fnc);
+	});
+
+	/**
+	 * Cancel this pledge: it will never settle,
+	 * and none of its handlers will be called.
+	 * Derived pledges are cancelled too, and the pledge this one was derived
+	 * from is cancelled when it has no other consumers left.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Mixed}   reason
+	 *
+	 * @return   {Boolean}   False if the pledge was already settled
+	 */
+	Pledge.setMethod(function cancel(reason) {
+
+		var handlers,
+		    derived,
+		    parent,
+		    i;
+
+		if (this.state !== 0) {
+			return this.state === 3;
+		}
+
+		this.state = 3;
+		this._cancelled_reason = reason;
+
+		parent = this._parent_pledge;
+		derived = this.sub_pledges !== 0 ? this._then_pledges : null;
+
+		releasePledge(this);
+
+		handlers = this._on_cancel;
+		this._on_cancel = null;
+
+		if (handlers) {
+			for (i = 0; i < handlers.length; i++) {
+				handlers[i].call(this, reason);
+			}
+		}
+
+		// Cancel everything that waits for this pledge
+		if (derived) {
+			this._on_fulfilled.length = 0;
+			this._on_rejected.length = 0;
+
+			for (i = 0; i < derived.length; i++) {
+				derived[i].cancel(reason);
+			}
+		}
+
+		// Cancel the parent if this was its last consumer
+		if (parent && parent.state === 0) {
+			parent._cancelled_subs++;
+
+			if (parent._cancelled_subs >= parent.sub_pledges) {
+				parent.cancel(reason);
+			}
+		}
+
+		return true;
+	});
+
+	/**
+	 * Forget the derived pledges & the parent of a pledge that settled:
+	 * they are only needed to propagate cancellation
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Pledge}   pledge
+	 */
+	function releasePledge(pledge) {
+
+		var parent = pledge._parent_pledge,
+		    index;
+
+		if (pledge.sub_pledges !== 0) {
+			pledge._then_pledges = [];
+		}
+
+		if (!parent) {
+			return;
+		}
+
+		pledge._parent_pledge = null;
+
+		if (parent.sub_pledges !== 0) {
+			index = parent._then_pledges.indexOf(pledge);
+
+			if (index > -1) {
+				parent._then_pledges.splice(index, 1);
+			}
+		}
+	}
 };
\ No newline at end of file
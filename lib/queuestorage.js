@@ -0,0 +1,423 @@
+module.exports = function BlastQueueStorage(Blast, Collection) {
+
+	var libpath,
+	    fs;
+
+	/**
+	 * The MemoryQueueStorage class in the Develry namespace:
+	 * stores the persistent jobs of a FunctionQueue in memory.
+	 * Other storage adapters should implement the same methods.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	var MemoryStorage = Collection.Function.inherits(null, 'Develry', function MemoryQueueStorage() {
+
+		// The pending jobs, by their id
+		this.jobs = {};
+
+		// The jobs that failed too many times, by their id
+		this.dead_letters = {};
+	});
+
+	/**
+	 * Get all the pending jobs, oldest first
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 */
+	MemoryStorage.setMethod(function load(callback) {
+
+		var jobs = [],
+		    key;
+
+		for (key in this.jobs) {
+			jobs.push(copyJob(this.jobs[key]));
+		}
+
+		jobs.sort(function byCreated(a, b) {
+			return a.created - b.created;
+		});
+
+		Blast.setImmediate(function loaded() {
+			callback(null, jobs);
+		});
+	});
+
+	/**
+	 * Store (or update) a job
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}     job
+	 * @param    {Function}   callback
+	 */
+	MemoryStorage.setMethod(function save(job, callback) {
+		this.jobs[job.id] = copyJob(job);
+		this._changed(callback);
+	});
+
+	/**
+	 * Remove a job that has been completed
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}     id
+	 * @param    {Function}   callback
+	 */
+	MemoryStorage.setMethod(function remove(id, callback) {
+		delete this.jobs[id];
+		this._changed(callback);
+	});
+
+	/**
+	 * Move a job that failed too many times to the dead letters
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}     job
+	 * @param    {Function}   callback
+	 */
+	MemoryStorage.setMethod(function deadLetter(job, callback) {
+		delete this.jobs[job.id];
+		this.dead_letters[job.id] = copyJob(job);
+		this._changed(callback);
+	});
+
+	/**
+	 * Get the dead-lettered jobs
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 */
+	MemoryStorage.setMethod(function getDeadLetters(callback) {
+
+		var jobs = [],
+		    key;
+
+		for (key in this.dead_letters) {
+			jobs.push(copyJob(this.dead_letters[key]));
+		}
+
+		Blast.setImmediate(function loaded() {
+			callback(null, jobs);
+		});
+	});
+
+	/**
+	 * Called after the jobs have been changed
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 */
+	MemoryStorage.setMethod(function _changed(callback) {
+		if (callback) {
+			Blast.setImmediate(callback);
+		}
+	});
+
+	/**
+	 * Create a copy of a job, so it can't be changed from the outside
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   job
+	 *
+	 * @return   {Object}
+	 */
+	function copyJob(job) {
+
+		var result = Blast.Bound.Object.assign({}, job);
+
+		result.options = Blast.Bound.Object.assign({}, job.options);
+
+		return result;
+	}
+
+	// PROTOBLAST START CUT
+	// The file storage is only available on node
+	if (!Blast.isNode) {
+		return;
+	}
+
+	libpath = require('path');
+	fs = require('fs');
+
+	/**
+	 * The FileQueueStorage class in the Develry namespace:
+	 * stores the persistent jobs of a FunctionQueue in a JSON file.
+	 * (Only available on the server)
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   path   The path of the file
+	 */
+	var FileStorage = Collection.Function.inherits('Develry.MemoryQueueStorage', 'Develry', function FileQueueStorage(path) {
+
+		FileQueueStorage.super.call(this);
+
+		// The path to the file
+		this.path = libpath.resolve(path);
+
+		// Has the file been read yet?
+		this.loaded = false;
+
+		// Is the file being written?
+		this.writing = false;
+
+		// Have there been changes since the last write started?
+		this.dirty = false;
+
+		// Callbacks waiting for the next write
+		this._waiting = [];
+
+		// Ids of the jobs removed before the file was read
+		this._removed = {};
+	});
+
+	/**
+	 * Read the jobs from the file, if that hasn't been done yet
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 */
+	FileStorage.setMethod(function _read(callback) {
+
+		var that = this;
+
+		if (this.loaded) {
+			return Blast.setImmediate(callback);
+		}
+
+		fs.readFile(this.path, 'utf8', function gotFile(err, source) {
+
+			var data,
+			    key;
+
+			if (err && err.code != 'ENOENT') {
+				return callback(err);
+			}
+
+			if (!that.loaded) {
+				that.loaded = true;
+
+				if (source) {
+					try {
+						data = JSON.parse(source);
+					} catch (err) {
+						return callback(err);
+					}
+
+					// Jobs removed before the file was read should stay removed
+					for (key in that._removed) {
+						if (data.jobs) {
+							delete data.jobs[key];
+						}
+					}
+
+					// Changes made before the file was read take precedence
+					that.jobs = Blast.Bound.Object.assign(data.jobs || {}, that.jobs);
+					that.dead_letters = Blast.Bound.Object.assign(data.dead_letters || {}, that.dead_letters);
+				}
+
+				that._removed = {};
+			}
+
+			callback(null);
+		});
+	});
+
+	/**
+	 * Remove a job that has been completed,
+	 * the first read of the file should not bring it back
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}     id
+	 * @param    {Function}   callback
+	 */
+	FileStorage.setMethod(function remove(id, callback) {
+
+		if (!this.loaded) {
+			this._removed[id] = true;
+		}
+
+		remove.super.call(this, id, callback);
+	});
+
+	/**
+	 * Move a job that failed too many times to the dead letters,
+	 * the first read of the file should not bring it back
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}     job
+	 * @param    {Function}   callback
+	 */
+	FileStorage.setMethod(function deadLetter(job, callback) {
+
+		if (!this.loaded) {
+			this._removed[job.id] = true;
+		}
+
+		deadLetter.super.call(this, job, callback);
+	});
+
+	/**
+	 * Get all the pending jobs, oldest first
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 */
+	FileStorage.setMethod(function load(callback) {
+
+		var that = this;
+
+		this._read(function done(err) {
+
+			if (err) {
+				return callback(err);
+			}
+
+			load.super.call(that, callback);
+		});
+	});
+
+	/**
+	 * Get the dead-lettered jobs
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 */
+	FileStorage.setMethod(function getDeadLetters(callback) {
+
+		var that = this;
+
+		this._read(function done(err) {
+
+			if (err) {
+				return callback(err);
+			}
+
+			getDeadLetters.super.call(that, callback);
+		});
+	});
+
+	/**
+	 * Write the jobs to the file.
+	 * Only one write happens at a time, changes made in the meantime
+	 * are written afterwards.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   callback
+	 */
+	FileStorage.setMethod(function _changed(callback) {
+
+		var that = this;
+
+		if (callback) {
+			this._waiting.push(callback);
+		}
+
+		this.dirty = true;
+
+		if (this.writing) {
+			return;
+		}
+
+		this.writing = true;
+
+		this._read(function done(err) {
+
+			var callbacks = that._waiting,
+			    temp_path = that.path + '.tmp',
+			    source;
+
+			that._waiting = [];
+			that.dirty = false;
+
+			if (err) {
+				return that._afterWrite(err, callbacks);
+			}
+
+			source = JSON.stringify({
+				jobs         : that.jobs,
+				dead_letters : that.dead_letters
+			});
+
+			// Write to a temporary file first, so the file is never incomplete
+			fs.writeFile(temp_path, source, function written(err) {
+
+				if (err) {
+					return that._afterWrite(err, callbacks);
+				}
+
+				fs.rename(temp_path, that.path, function renamed(err) {
+					that._afterWrite(err, callbacks);
+				});
+			});
+		});
+	});
+
+	/**
+	 * Call the callbacks of a write & start the next one if needed
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Error}   err
+	 * @param    {Array}   callbacks
+	 */
+	FileStorage.setMethod(function _afterWrite(err, callbacks) {
+
+		var i;
+
+		this.writing = false;
+
+		if (this.dirty) {
+			this._changed();
+		}
+
+		for (i = 0; i < callbacks.length; i++) {
+			callbacks[i](err || null);
+		}
+	});
+	// PROTOBLAST END CUT
+};
@@ -0,0 +1,244 @@
+module.exports = function BlastRateLimiter(Blast, Collection) {
+
+	/**
+	 * The RateLimiter class in the Develry namespace:
+	 * a token bucket that allows `amount` calls per `interval` ms,
+	 * with bursts of at most `burst` calls
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   options
+	 */
+	var RateLimiter = Collection.Function.inherits('Informer', 'Develry', function RateLimiter(options) {
+
+		if (!options) {
+			options = {};
+		}
+
+		// The amount of tokens added per interval
+		this.amount = options.amount || 1;
+
+		// The interval in ms
+		this.interval = options.interval || 1000;
+
+		// The maximum amount of tokens in the bucket
+		this.burst = options.burst || this.amount;
+
+		// The bucket starts out full
+		this.tokens = this.burst;
+
+		// When the tokens were last refilled
+		this.last_refill = Date.now();
+
+		// Callbacks waiting for a token
+		this._waiting = [];
+
+		// The timer for the next waiting callback
+		this._timer = null;
+
+		// Statistics
+		this.taken = 0;
+		this.delayed = 0;
+	});
+
+	/**
+	 * Get a RateLimiter instance for the given options
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {RateLimiter|Object}   options
+	 *
+	 * @return   {RateLimiter}
+	 */
+	RateLimiter.setStatic(function cast(options) {
+
+		if (options instanceof RateLimiter) {
+			return options;
+		}
+
+		return new RateLimiter(options);
+	});
+
+	/**
+	 * Add the tokens that have been earned since the last refill
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	RateLimiter.setMethod(function refill() {
+
+		var now = Date.now(),
+		    elapsed = now - this.last_refill;
+
+		if (elapsed > 0) {
+			this.tokens = Math.min(this.burst, this.tokens + elapsed * this.amount / this.interval);
+			this.last_refill = now;
+		}
+	});
+
+	/**
+	 * Take the given amount of tokens if they are available
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   count   Defaults to 1
+	 *
+	 * @return   {Boolean}  True if the tokens were taken
+	 */
+	RateLimiter.setMethod(function take(count) {
+
+		if (count == null) {
+			count = 1;
+		}
+
+		this.refill();
+
+		if (this.tokens < count) {
+			return false;
+		}
+
+		this.tokens -= count;
+		this.taken += count;
+
+		return true;
+	});
+
+	/**
+	 * Get the amount of ms until the given amount of tokens are available
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   count   Defaults to 1
+	 *
+	 * @return   {Number}
+	 */
+	RateLimiter.setMethod(function getDelay(count) {
+
+		if (count == null) {
+			count = 1;
+		}
+
+		this.refill();
+
+		if (this.tokens >= count) {
+			return 0;
+		}
+
+		return Math.ceil((count - this.tokens) * this.interval / this.amount);
+	});
+
+	/**
+	 * Call the given function as soon as a token is available.
+	 * Waiting functions are called in order,
+	 * errors they throw are emitted as `error` events.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Function}   fnc
+	 */
+	RateLimiter.setMethod(function wait(fnc) {
+
+		if (!this._waiting.length && this.take()) {
+			return fnc();
+		}
+
+		this._waiting.push(fnc);
+		this.delayed++;
+
+		this._scheduleWaiting();
+	});
+
+	/**
+	 * Schedule the next waiting function
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	RateLimiter.setMethod(function _scheduleWaiting() {
+
+		var that = this,
+		    delay;
+
+		if (this._timer || !this._waiting.length) {
+			return;
+		}
+
+		delay = this.getDelay();
+
+		this.emit('delayed', delay, this._waiting.length);
+
+		this._timer = setTimeout(function nextWaiting() {
+
+			var errors = [],
+			    i;
+
+			that._timer = null;
+
+			while (that._waiting.length && that.take()) {
+				// A function that throws should not stall the others
+				try {
+					that._waiting.shift()();
+				} catch (err) {
+					errors.push(err);
+				}
+			}
+
+			that._scheduleWaiting();
+
+			// Emitting an error without listeners throws it
+			for (i = 0; i < errors.length; i++) {
+				that.emit('error', errors[i]);
+			}
+		}, delay);
+	});
+
+	/**
+	 * Get statistics about this limiter
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Object}
+	 */
+	RateLimiter.setMethod(function getStats() {
+
+		this.refill();
+
+		return {
+			tokens  : this.tokens,
+			taken   : this.taken,
+			delayed : this.delayed,
+			waiting : this._waiting.length
+		};
+	});
+
+	/**
+	 * Stop calling the waiting functions
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	RateLimiter.setMethod(function clear() {
+
+		this._waiting.length = 0;
+
+		if (this._timer) {
+			clearTimeout(this._timer);
+			this._timer = null;
+		}
+	});
+};
@@ -4,13 +4,51 @@ module.exports = function BlastRequest(Blast, Collection) {
 	    http,
 	    zlib;
 
+	/**
+	 * The default retry policy
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {Object}
+	 */
+	var default_retry = {
+		// The maximum number of attempts, including the first one
+		attempts    : 3,
+
+		// The methods that can be retried, others (like POST) have to be added
+		methods     : ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+
+		// Response statuses that can be retried
+		statuses    : [408, 429, 500, 502, 503, 504],
+
+		// Error codes that can be retried
+		codes       : ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+
+		// The delay before the first retry, in ms
+		delay       : 100,
+
+		// The multiplier applied to the delay after every attempt
+		factor      : 2,
+
+		// The maximum delay between attempts
+		max_delay   : 30000,
+
+		// Randomize the delay (between half and the full delay)
+		jitter      : true,
+
+		// Use the Retry-After header when the server sends one
+		retry_after : true
+	};
+
 	/**
 	 * The Request class in the Develry namespace,
 	 * inherits from the Informer class
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.2.0
-	 * @version  0.2.0
+	 * @version  0.4.3
 	 */
 	var Request = Collection.Function.inherits('Informer', 'Develry', function Request(options) {
 
@@ -24,6 +62,41 @@ module.exports = function BlastRequest(Blast, Collection) {
 		// Keep track of the number of times we've been redirected
 		this.redirect_count = 0;
 
+		// The maximum number of redirects to follow
+		this.max_redirects = options.max_redirects != null ? options.max_redirects : 20;
+
+		// The redirects followed during the current attempt
+		this.redirects = [];
+
+		// The requests done during the current attempt,
+		// used to detect redirect loops
+		this._visits = [];
+
+		// Keep track of the number of times we've retried
+		this.retry_count = 0;
+
+		// The retry policy to use (none by default)
+		this.retry = options.retry || null;
+
+		// The maximum amount of ms the entire request may take
+		this.timeout = options.timeout || 0;
+
+		// The maximum amount of ms the socket may be idle
+		this.idle_timeout = options.idle_timeout || 0;
+
+		// The CookieJar to use for sending & storing cookies (node.js only)
+		if (options.cookie_jar === true) {
+			this.cookie_jar = new Blast.Classes.Develry.CookieJar();
+		} else {
+			this.cookie_jar = options.cookie_jar || null;
+		}
+
+		// Has this request been aborted?
+		this.aborted = false;
+
+		// The underlying node.js request or XMLHttpRequest
+		this._transport = null;
+
 		// Store the original requested url (as string)
 		this.original_url = '';
 
@@ -82,249 +155,1603 @@ module.exports = function BlastRequest(Blast, Collection) {
 	});
 
 	/**
-	 * Actually make a request
+	 * Abort the current request:
+	 * the underlying socket is destroyed and the callback
+	 * receives an AbortError
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Boolean}   False if the request was already aborted or finished
+	 */
+	Request.setMethod(function abort() {
+
+		// Only a request that is in progress can be aborted
+		if (this.aborted || !this._finish) {
+			return false;
+		}
+
+		this.aborted = true;
+
+		this._destroyTransport();
+
+		if (this._finish) {
+			this._finish(new Blast.Classes.AbortError('The request was aborted'));
+		}
+
+		this.emit('abort');
+
+		return true;
+	});
+
+	/**
+	 * Destroy the current node.js request or XMLHttpRequest
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 */
+	Request.setMethod(function _destroyTransport() {
+
+		var transport = this._transport;
+
+		if (!transport) {
+			return;
+		}
+
+		this._transport = null;
+
+		if (typeof transport.destroy == 'function') {
+			transport.destroy();
+		} else {
+			transport.abort();
+		}
+	});
+
+	/**
+	 * Actually make a request.
+	 * The callback receives the error, the raw response, the body
+	 * and a Response instance.
+	 * Failed attempts are retried according to the `retry` option
+	 * (or the `retry` property of the instance).
+	 * The `timeout` option is a deadline for the entire request,
+	 * including redirects and retries.
+	 * At most `max_redirects` redirects are followed.
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.2.0
-	 * @version  0.4.1
+	 * @version  0.4.3
 	 *
 	 * @param    {Object}     options
 	 * @param    {Function}   callback
+	 *
+	 * @return   {Pledge}     A pledge that resolves with a Response instance
 	 */
 	Request.setMethod(function http_request(options, callback) {
 
 		var that = this,
-		    body_data,
-		    protocol,
-		    config,
-		    body,
-		    url,
-		    req;
+		    pledge = new Blast.Classes.Pledge(),
+		    finished = false,
+		    attempt = 0,
+		    timeout,
+		    method,
+		    policy,
+		    timer,
+		    bomb;
 
 		if (typeof options == 'string') {
-			url = Blast.Bound.URL.parse(options);
-			options = {};
-		} else if (typeof options.url == 'string') {
-			url = Blast.Bound.URL.parse(options.url);
+			options = {url: options};
 		} else {
-			url = options.url;
+			// The defaults are added to a copy, not to the caller's options
+			options = Collection.Object.assign({}, options);
 		}
 
-		if (options.get) {
-			url.addQuery(options.get);
-		}
+		policy = normalizeRetryPolicy(options.retry != null ? options.retry : this.retry);
+		method = getRequestMethod(options);
 
-		if (options.head) {
-			url.addQuery(options.head);
+		// Only retry the methods the policy allows
+		if (policy && policy.methods.indexOf(method) == -1) {
+			policy = null;
 		}
+		timeout = options.timeout != null ? options.timeout : this.timeout;
 
-		config = {
-			host    : url.hostname,
-			path    : url.pathname + url.search,
-			port    : url.port,
-			headers : options.headers || {}
-		};
-
-		if (url.protocol == 'https:') {
-			protocol = https;
-		} else {
-			protocol = http;
+		if (options.idle_timeout == null) {
+			options.idle_timeout = this.idle_timeout;
 		}
 
-		if (options.head) {
-			config.method = 'HEAD';
+		if (options.max_redirects == null) {
+			options.max_redirects = this.max_redirects;
 		}
 
-		if (options.post) {
-			config.method = 'POST';
-			body_data = options.post;
+		if (options.cookie_jar == null) {
+			options.cookie_jar = this.cookie_jar;
 		}
 
-		if (options.put) {
-			config.method = 'PUT';
-			body_data = options.put;
-		}
+		this.aborted = false;
 
-		if (options.delete) {
-			config.method = 'DELETE';
-			body_data = options.delete;
-		}
+		function finish(err, res, body, response) {
 
-		if (options.options) {
-			config.method = 'OPTIONS';
-		}
+			if (finished) {
+				return;
+			}
 
-		if (options.patch) {
-			config.method = 'PATCH';
-			body_data = options.patch;
-		}
+			finished = true;
+			that._finish = null;
+			that._transport = null;
 
-		if (body_data) {
-			if (typeof body_data == 'object') {
-				config.headers['Content-Type'] = 'application/json';
-				body = JSON.stringify(body_data);
-			} else {
-				body = String(body_data);
+			clearTimeout(timer);
+
+			if (bomb) {
+				bomb.defuse();
 			}
 
-			config.headers['Content-Length'] = Buffer.byteLength(body, 'utf8');
+			if (callback) {
+				callback(err, res, body, response);
+			}
+
+			if (pledge.state !== 0) {
+				return;
+			}
+
+			// Like `fetch`, only reject when there is no response at all
+			if (response) {
+				pledge.resolve(response);
+			} else {
+				pledge.reject(err);
+			}
 		}
 
-		// Create the request
-		req = protocol.request(config, function gotResponse(res) {
+		function doAttempt() {
 
-			var output,
-			    gzip,
-			    body = '';
+			// The request could have been aborted while waiting
+			if (finished) {
+				return;
+			}
 
-			// Set the request options on the response object
-			res.request_options = config;
+			attempt++;
 
-			// Follow redirects if there are any
-			if (res.statusCode > 299 && res.statusCode < 400) {
+			// Every attempt starts from the original url again
+			that.redirects = [];
+			that._visits = [];
 
-				// Increase the redirect count
-				that.redirect_count++;
+			that._request(options, function done(err, res, body, response) {
 
-				// Override the URL to request
-				options.url = URL.parse(res.headers['location'], url.protocol + '//' + config.host);
+				var delay;
 
-				if (!options.headers) {
-					options.headers = {};
+				if (finished) {
+					return;
 				}
 
-				// Set the previous URL as the referrer
-				options.headers.referrer = '' + url;
+				// Streamed bodies can't be sent twice
+				if (policy && attempt < policy.attempts && !hasStreams(options.multipart)) {
+					delay = getRetryDelay(policy, attempt, err, response);
 
-				return that.http_request(options, callback);
-			}
+					if (delay != null) {
 
-			// If an error occurs, call the callback with it
-			res.on('error', function gotResponseError(err) {
-				callback(err, res);
+						// Discard a response body that hasn't been read
+						if (res && options.get_stream && typeof res.resume == 'function') {
+							res.resume();
+						}
+
+						that.retry_count++;
+
+						that.emit('retry', {
+							attempt : attempt + 1,
+							delay   : delay,
+							error   : err,
+							status  : response ? response.status : null
+						});
+
+						timer = setTimeout(doAttempt, delay);
+						return;
+					}
+				}
+
+				finish(err, res, body, response);
 			});
+		}
 
-			// If the response is gzipped, unzip it
-			if (res.headers['content-encoding'] == 'gzip') {
-				gzip = zlib.createGunzip();
-				res.pipe(gzip);
-				output = gzip;
-			} else {
-				output = res;
-			}
+		this._finish = finish;
 
-			if (options.get_stream) {
-				return callback(null, res, output);
-			}
+		if (timeout) {
+			bomb = Collection.Function.timebomb(timeout, function onTimeout() {
 
-			// Listen for data to stream in
-			output.on('data', function gotData(data) {
-				body += data.toString('utf-8');
+				var err = new Blast.Classes.TimeoutError('The request took longer than ' + timeout + 'ms', timeout);
+
+				err.code = 'ETIMEDOUT';
+
+				that._destroyTransport();
+				finish(err);
 			});
+		}
 
-			output.on('end', function ended() {
+		doAttempt();
+
+		return pledge;
+	});
+
+	/**
+	 * Does the given multipart field object contain streams?
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   fields
+	 *
+	 * @return   {Boolean}
+	 */
+	function hasStreams(fields) {
 
-				var error_data,
-				    error;
+		var values,
+		    key,
+		    i;
 
-				if (res.headers['content-type'] && (~res.headers['content-type'].indexOf('json'))) {
-					body = Blast.Bound.JSON.safeParse(body);
+		for (key in fields) {
+			values = Array.isArray(fields[key]) ? fields[key] : [fields[key]];
+
+			for (i = 0; i < values.length; i++) {
+				if (isStream(values[i]) || (values[i] && isStream(values[i].value))) {
+					return true;
 				}
+			}
+		}
 
-				if (res.statusCode >= 400) {
-					error = res.statusCode + ' - ' + res.statusMessage + '\n';
+		return false;
+	}
 
-					if (body && typeof body == 'object') {
-						if (body.code) {
-							error += '  Body error code: ' + body.code + '\n';
-						}
+	/**
+	 * Turn the given retry option into a complete policy object
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Boolean|Number|Object}   retry   True, the max attempts or a policy
+	 *
+	 * @return   {Object|null}
+	 */
+	function normalizeRetryPolicy(retry) {
 
-						if (body.message) {
-							error += '  Body error message: ' + body.message + '\n';
-						}
-					}
+		if (!retry) {
+			return null;
+		}
 
-					error += 'on ' + config.method + ' ' + String(url) + '\n';
+		if (retry === true) {
+			retry = {};
+		} else if (typeof retry == 'number') {
+			retry = {attempts: retry};
+		}
 
-					error = new Error(error);
-				} else {
-					error = null;
-				}
+		return Collection.Object.assign({}, default_retry, retry);
+	}
 
-				callback(error, res, body);
-			});
-		});
+	/**
+	 * Get the method of the request the given options describe
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   options
+	 *
+	 * @return   {String}
+	 */
+	function getRequestMethod(options) {
 
-		// Listen for request errors
-		req.on('error', function onRequestError(err) {
-			callback(err);
-		});
+		var result;
 
-		if (body != null) {
-			req.write(body);
+		if (options.head) {
+			result = 'HEAD';
 		}
 
-		// Initiate the request
-		req.end();
-	});
+		if (options.post) {
+			result = 'POST';
+		}
+
+		if (options.put) {
+			result = 'PUT';
+		}
+
+		if (options.delete) {
+			result = 'DELETE';
+		}
+
+		if (options.options) {
+			result = 'OPTIONS';
+		}
+
+		if (options.patch) {
+			result = 'PATCH';
+		}
+
+		// Form bodies are posted by default
+		if (!result && (options.form || options.multipart)) {
+			result = 'POST';
+		}
+
+		return result || 'GET';
+	}
 
 	/**
-	 * Start this request
+	 * Get the amount of ms to wait before retrying,
+	 * or null if the attempt should not be retried
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.2.0
-	 * @version  0.3.7
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @param    {Function}   callback
+	 * @param    {Object}             policy
+	 * @param    {Number}             attempt    The number of the failed attempt
+	 * @param    {Error}              err
+	 * @param    {Develry.Response}   response
+	 *
+	 * @return   {Number|null}
 	 */
-	Request.setMethod(function start(options, callback) {
+	function getRetryDelay(policy, attempt, err, response) {
 
-		var that = this,
-		    options,
-		    url,
-		    req;
+		var retry_after,
+		    delay;
 
-		if (typeof options == 'function') {
-			callback = options;
-			options = {};
+		if (response) {
+			if (policy.statuses.indexOf(response.status) == -1) {
+				return null;
+			}
+		} else if (!err || policy.codes.indexOf(err.code) == -1) {
+			return null;
 		}
 
-		// Don't start the same request twice
-		if (this.original_url) {
-			return;
+		delay = policy.delay * Math.pow(policy.factor, attempt - 1);
+
+		if (policy.jitter) {
+			delay = delay / 2 + Math.random() * delay / 2;
 		}
 
-		// Store the original url
-		this.original_url = this.url + '';
+		if (response && policy.retry_after && response.headers['retry-after']) {
+			retry_after = parseRetryAfter(response.headers['retry-after']);
 
-		options.url = this.url;
+			if (retry_after != null) {
+				delay = retry_after;
+			}
+		}
+
+		return Math.round(Math.min(delay, policy.max_delay));
+	}
+
+	/**
+	 * Parse a Retry-After header value, which is either
+	 * an amount of seconds or a date
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   value
+	 *
+	 * @return   {Number|null}   The amount of ms to wait
+	 */
+	function parseRetryAfter(value) {
 
-		if (!options.headers) {
-			options.headers = {};
+		var time;
+
+		if (/^\s*\d+\s*$/.test(value)) {
+			return Number(value) * 1000;
 		}
 
-		Collection.Object.assign(options.headers, this.headers);
+		time = Date.parse(value);
 
-		// Do the response, follow redirects
-		this.http_request(options, callback);
-	});
+		if (isNaN(time)) {
+			return null;
+		}
+
+		return Math.max(0, time - Date.now());
+	}
 
 	/**
-	 * Fetch a simple resource
+	 * Do the request and follow redirects
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
-	 * @since    0.2.0
-	 * @version  0.2.0
+	 * @since    0.4.3
+	 * @version  0.4.3
 	 *
-	 * @param    {String|Object}  url
-	 * @param    {Function}       callback
+	 * @param    {Object}     options
+	 * @param    {Function}   callback
 	 */
-	Blast.fetch = function fetch(url, callback) {
+	Request.setMethod(function _request(options, callback) {
 
-		var req = new Request();
+		var body_data,
+		    config,
+		    body,
+		    url;
+
+		if (typeof options == 'string') {
+			url = Blast.Bound.URL.parse(options);
+			options = {};
+		} else if (typeof options.url == 'string') {
+			url = Blast.Bound.URL.parse(options.url);
+		} else {
+			url = options.url;
+		}
+
+		if (options.get && typeof options.get == 'object') {
+			url.addQuery(options.get);
+		}
+
+		if (options.head && typeof options.head == 'object') {
+			url.addQuery(options.head);
+		}
+
+		config = {
+			headers : Collection.Object.assign({}, options.headers)
+		};
+
+		if (options.head) {
+			config.method = 'HEAD';
+		}
+
+		if (options.post) {
+			config.method = 'POST';
+			body_data = options.post;
+		}
+
+		if (options.put) {
+			config.method = 'PUT';
+			body_data = options.put;
+		}
+
+		if (options.delete) {
+			config.method = 'DELETE';
+			body_data = options.delete;
+		}
+
+		if (options.options) {
+			config.method = 'OPTIONS';
+		}
+
+		if (options.patch) {
+			config.method = 'PATCH';
+			body_data = options.patch;
+		}
+
+		if (options.form) {
+			config.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+			body = Blast.Bound.URL.encodeQuery(options.form);
+		} else if (options.multipart) {
+			if (Blast.isNode) {
+				body = createMultipart(options.multipart);
+				config.headers['Content-Type'] = 'multipart/form-data; boundary=' + body.boundary;
+			} else {
+				// The browser sets the content-type & boundary itself
+				body = createFormData(options.multipart);
+			}
+		} else if (body_data) {
+			if (typeof body_data == 'object') {
+				config.headers['Content-Type'] = 'application/json';
+				body = JSON.stringify(body_data);
+			} else {
+				body = String(body_data);
+			}
+		}
+
+		// Form bodies are posted by default
+		if (body != null && !config.method) {
+			config.method = 'POST';
+		}
+
+		if (Blast.isNode) {
+			return this._nodeRequest(options, url, config, body, callback);
+		}
+
+		return this._browserRequest(options, url, config, body, callback);
+	});
+
+	/**
+	 * Do the request using the node.js http modules
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}     options
+	 * @param    {URL}        url
+	 * @param    {Object}     config
+	 * @param    {String}     body
+	 * @param    {Function}   callback
+	 */
+	Request.setMethod(function _nodeRequest(options, url, config, body, callback) {
+
+		var that = this,
+		    finished = false,
+		    protocol,
+		    visit,
+		    err,
+		    req;
+
+		// Make sure the callback is only called once per request,
+		// even when the socket errors after it has been destroyed
+		function done(err, res, body, response) {
+
+			if (finished) {
+				return;
+			}
+
+			finished = true;
+			callback(err, res, body, response);
+		}
+
+		config.host = url.hostname;
+		config.path = url.pathname + url.search;
+		config.port = url.port;
+
+		if (url.protocol == 'https:') {
+			protocol = https;
+		} else {
+			protocol = http;
+		}
+
+		if (body instanceof Multipart) {
+			// Without a length node.js uses chunked transfer encoding
+			if (body.length != null) {
+				config.headers['Content-Length'] = body.length;
+			}
+		} else if (body != null) {
+			config.headers['Content-Length'] = Buffer.byteLength(body, 'utf8');
+		}
+
+		if (options.cookie_jar) {
+			this._addJarCookies(options.cookie_jar, url, config);
+		}
+
+		// Only doing the exact same request again is a loop:
+		// a redirect back to the same url can send new cookies
+		visit = (config.method || 'GET') + ' ' + String(url) + ' ' + getHeader(config.headers, 'cookie');
+
+		if (this._visits.indexOf(visit) > -1) {
+			err = new Error('Redirect loop detected: ' + String(url) + ' was already requested');
+			err.code = 'EREDIRECTLOOP';
+			return done(err);
+		}
+
+		this._visits.push(visit);
+
+		// Create the request
+		req = protocol.request(config, function gotResponse(res) {
+
+			var output,
+			    chunks = [],
+			    gzip;
+
+			// Store the received cookies, also when redirecting
+			if (options.cookie_jar && res.headers['set-cookie']) {
+				options.cookie_jar.setCookies(res.headers['set-cookie'], url);
+			}
+
+			// Set the request options on the response object
+			res.request_options = config;
+
+			// Follow redirects if there are any
+			if (redirect_statuses[res.statusCode] && res.headers.location) {
+
+				// This request is done, the redirect will call back
+				finished = true;
+
+				// Discard the body of the redirect response
+				res.resume();
+
+				return that._followRedirect(options, url, config, res, callback);
+			}
+
+			// If an error occurs, call the callback with it
+			res.on('error', function gotResponseError(err) {
+				done(err, res);
+			});
+
+			// If the response is gzipped, unzip it
+			if (res.headers['content-encoding'] == 'gzip') {
+				gzip = zlib.createGunzip();
+				res.pipe(gzip);
+				output = gzip;
+			} else {
+				output = res;
+			}
+
+			if (options.get_stream) {
+				return done(null, res, output, that.createResponse(res, url, null, output));
+			}
+
+			// Listen for data to stream in
+			output.on('data', function gotData(data) {
+				chunks.push(data);
+			});
+
+			output.on('end', function ended() {
+
+				var response,
+				    buffer,
+				    body;
+
+				buffer = Buffer.concat(chunks);
+				body = parseBody(res.headers, buffer.toString('utf-8'));
+				response = that.createResponse(res, url, buffer);
+
+				done(createStatusError(res.statusCode, res.statusMessage, body, config.method, url), res, body, response);
+			});
+		});
+
+		this._transport = req;
+
+		// Listen for request errors
+		req.on('error', function onRequestError(err) {
+			done(err);
+		});
+
+		// Destroy the socket when it has been idle for too long
+		if (options.idle_timeout) {
+			req.setTimeout(options.idle_timeout, function onIdle() {
+
+				var err = new Blast.Classes.TimeoutError('The socket was idle for more than ' + options.idle_timeout + 'ms', options.idle_timeout);
+
+				err.code = 'ESOCKETTIMEDOUT';
+
+				if (that._transport === req) {
+					that._transport = null;
+				}
+
+				req.destroy();
+				done(err);
+			});
+		}
+
+		if (body instanceof Multipart) {
+			return writeParts(req, body.parts, 0, function onStreamError(err) {
+				req.destroy();
+				done(err);
+			});
+		}
+
+		if (body != null) {
+			req.write(body);
+		}
+
+		// Initiate the request
+		req.end();
+	});
+
+	/**
+	 * Add the cookies in the given jar to the request headers,
+	 * after the ones that were set manually
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Develry.CookieJar}   jar
+	 * @param    {URL}                 url
+	 * @param    {Object}              config
+	 */
+	Request.setMethod(function _addJarCookies(jar, url, config) {
+
+		var cookies,
+		    key;
+
+		cookies = jar.getCookieHeader(url, {
+			method : config.method,
+
+			// Redirects are initiated by the site of the first url
+			site   : this.redirects.length ? this.redirects[0].url : null
+		});
+
+		if (!cookies) {
+			return;
+		}
+
+		for (key in config.headers) {
+			if (key.toLowerCase() == 'cookie') {
+				cookies = config.headers[key] + '; ' + cookies;
+				delete config.headers[key];
+			}
+		}
+
+		config.headers.cookie = cookies;
+	});
+
+	/**
+	 * Follow the redirect of the given response
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}            options
+	 * @param    {URL}               url        The url that was requested
+	 * @param    {Object}            config
+	 * @param    {IncomingMessage}   res        The redirect response
+	 * @param    {Function}          callback
+	 */
+	Request.setMethod(function _followRedirect(options, url, config, res, callback) {
+
+		var method = config.method || 'GET',
+		    status = res.statusCode,
+		    downgrade,
+		    location,
+		    headers,
+		    next,
+		    err,
+		    key;
+
+		location = Blast.Bound.URL.parse(res.headers.location, String(url));
+
+		// 303 always continues with a GET request,
+		// 301 and 302 only change POST requests (like browsers do)
+		if (status == 303) {
+			downgrade = method != 'GET' && method != 'HEAD';
+		} else if (status == 301 || status == 302) {
+			downgrade = method == 'POST';
+		}
+
+		if (downgrade) {
+			method = 'GET';
+		}
+
+		this.redirect_count++;
+
+		this.redirects.push({
+			url      : String(url),
+			method   : config.method || 'GET',
+			status   : status,
+			location : String(location)
+		});
+
+		if (this.redirects.length > options.max_redirects) {
+			err = new Error('Maximum number of redirects (' + options.max_redirects + ') exceeded');
+			err.code = 'EMAXREDIRECTS';
+		}
+
+		if (!err && !downgrade && hasStreams(options.multipart)) {
+			err = new Error('Unable to send a streamed body again after a ' + status + ' redirect');
+			err.code = 'ESTREAMREDIRECT';
+		}
+
+		if (err) {
+			return callback(err, res);
+		}
+
+		next = Collection.Object.assign({}, options);
+		next.url = location;
+		next.get = null;
+		headers = {};
+
+		if (next.head) {
+			// Keep the HEAD method, but don't add the query again
+			next.head = true;
+		}
+
+		if (downgrade) {
+			next.post = next.put = next.delete = next.patch = next.options = null;
+			next.form = next.multipart = null;
+		}
+
+		for (key in options.headers) {
+
+			switch (key.toLowerCase()) {
+				case 'content-type':
+				case 'content-length':
+					if (downgrade) {
+						continue;
+					}
+					break;
+
+				// Credentials are not sent to other origins
+				case 'authorization':
+				case 'cookie':
+					if (getOrigin(location) != getOrigin(url)) {
+						continue;
+					}
+					break;
+
+				case 'referer':
+				case 'referrer':
+					continue;
+			}
+
+			headers[key] = options.headers[key];
+		}
+
+		// Don't leak secure urls to insecure ones
+		if (!(url.protocol == 'https:' && location.protocol == 'http:')) {
+			headers.referer = String(url);
+		}
+
+		next.headers = headers;
+
+		return this._request(next, callback);
+	});
+
+	/**
+	 * Get the origin of the given url
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {URL}   url
+	 *
+	 * @return   {String}
+	 */
+	function getOrigin(url) {
+		return url.protocol + '//' + url.host;
+	}
+
+	/**
+	 * Get the value of the given header, whatever its case
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   headers
+	 * @param    {String}   name       The lowercase header name
+	 *
+	 * @return   {String}
+	 */
+	function getHeader(headers, name) {
+
+		var result = '',
+		    key;
+
+		for (key in headers) {
+			if (key.toLowerCase() == name) {
+				result += headers[key];
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Write the given parts to the request one after the other,
+	 * piping streams and ending the request when done
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {ClientRequest}   req
+	 * @param    {Array}           parts       Strings, buffers and streams
+	 * @param    {Number}          index
+	 * @param    {Function}        on_error
+	 */
+	function writeParts(req, parts, index, on_error) {
+
+		var part;
+
+		for (; index < parts.length; index++) {
+			part = parts[index];
+
+			if (isStream(part)) {
+				part.on('error', on_error);
+
+				part.on('end', function onEnd() {
+					writeParts(req, parts, index + 1, on_error);
+				});
+
+				part.pipe(req, {end: false});
+				return;
+			}
+
+			req.write(part);
+		}
+
+		req.end();
+	}
+
+	/**
+	 * Is the given value a readable stream?
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Mixed}   value
+	 *
+	 * @return   {Boolean}
+	 */
+	function isStream(value) {
+		return !!value && typeof value == 'object' && typeof value.pipe == 'function';
+	}
+
+	/**
+	 * A multipart/form-data body in the Develry namespace
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   boundary
+	 */
+	var Multipart = Collection.Function.inherits(null, 'Develry', function Multipart(boundary) {
+
+		// The boundary between each part
+		this.boundary = boundary;
+
+		// The strings, buffers & streams to write
+		this.parts = [];
+
+		// The total byte length, null when unknown
+		this.length = 0;
+
+		// Does this body contain streams?
+		this.has_streams = false;
+	});
+
+	/**
+	 * Add a chunk of data
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String|Buffer|Stream}   data
+	 * @param    {Number}                 length   The length of a stream
+	 */
+	Multipart.setMethod(function push(data, length) {
+
+		this.parts.push(data);
+
+		if (isStream(data)) {
+			this.has_streams = true;
+
+			if (length == null) {
+				this.length = null;
+			}
+		} else {
+			length = Buffer.byteLength(data, 'utf8');
+		}
+
+		if (this.length != null) {
+			this.length += length;
+		}
+	});
+
+	/**
+	 * Create a multipart body out of the given fields.
+	 * Values can be strings, buffers, streams or an object
+	 * with a `value`, `filename`, `content_type` and `length`
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   fields
+	 *
+	 * @return   {Multipart}
+	 */
+	function createMultipart(fields) {
+
+		var boundary = '----ProtoblastBoundary' + Blast.Classes.Crypto.pseudoHex(),
+		    result = new Multipart(boundary),
+		    values,
+		    entry,
+		    value,
+		    head,
+		    key,
+		    i;
+
+		for (key in fields) {
+			values = Array.isArray(fields[key]) ? fields[key] : [fields[key]];
+
+			for (i = 0; i < values.length; i++) {
+				entry = values[i];
+
+				if (entry == null) {
+					continue;
+				}
+
+				if (typeof entry != 'object' || Buffer.isBuffer(entry) || isStream(entry)) {
+					entry = {value: entry};
+				}
+
+				value = entry.value;
+				head = '--' + boundary + '\r\nContent-Disposition: form-data; name="' + escapeQuotes(key) + '"';
+
+				// Buffers & streams are sent as files
+				if (entry.filename || Buffer.isBuffer(value) || isStream(value)) {
+					head += '; filename="' + escapeQuotes(entry.filename || getFilename(value, key)) + '"';
+					head += '\r\nContent-Type: ' + (entry.content_type || 'application/octet-stream');
+				} else {
+					value = String(value);
+				}
+
+				result.push(head + '\r\n\r\n');
+				result.push(value, entry.length);
+				result.push('\r\n');
+			}
+		}
+
+		result.push('--' + boundary + '--\r\n');
+
+		return result;
+	}
+
+	/**
+	 * Create a FormData instance out of the given fields (browser only)
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   fields
+	 *
+	 * @return   {FormData}
+	 */
+	function createFormData(fields) {
+
+		var result = new FormData(),
+		    values,
+		    entry,
+		    key,
+		    i;
+
+		for (key in fields) {
+			values = Array.isArray(fields[key]) ? fields[key] : [fields[key]];
+
+			for (i = 0; i < values.length; i++) {
+				entry = values[i];
+
+				if (entry == null) {
+					continue;
+				}
+
+				if (typeof Blob != 'undefined' && entry instanceof Blob) {
+					result.append(key, entry);
+				} else if (typeof entry == 'object') {
+					if (entry.filename) {
+						result.append(key, entry.value, entry.filename);
+					} else {
+						result.append(key, entry.value);
+					}
+				} else {
+					result.append(key, String(entry));
+				}
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Get the filename to use for the given file part
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Buffer|Stream}   value
+	 * @param    {String}          name    The name of the field
+	 *
+	 * @return   {String}
+	 */
+	function getFilename(value, name) {
+
+		// File streams know where they came from
+		if (value && typeof value.path == 'string') {
+			return value.path.split(/[\\\/]/).pop();
+		}
+
+		return name;
+	}
+
+	/**
+	 * Escape the quotes & newlines in a header parameter
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   value
+	 *
+	 * @return   {String}
+	 */
+	function escapeQuotes(value) {
+		return String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+	}
+
+	/**
+	 * Do the request using XMLHttpRequest.
+	 * Redirects are followed by the browser itself.
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}     options
+	 * @param    {URL}        url
+	 * @param    {Object}     config
+	 * @param    {String}     body
+	 * @param    {Function}   callback
+	 */
+	Request.setMethod(function _browserRequest(options, url, config, body, callback) {
+
+		var that = this,
+		    method = config.method || 'GET',
+		    finished = false,
+		    xhr = new XMLHttpRequest(),
+		    key;
+
+		// Make sure the callback is only called once,
+		// even when the browser fires another event
+		function done(err, res, body, response) {
+
+			if (finished) {
+				return;
+			}
+
+			finished = true;
+			callback(err, res, body, response);
+		}
+
+		xhr.open(method, String(url), true);
+
+		this._transport = xhr;
+
+		for (key in config.headers) {
+
+			// Browsers refuse to set some headers themselves
+			if (unsafe_headers[key.toLowerCase()]) {
+				continue;
+			}
+
+			xhr.setRequestHeader(key, config.headers[key]);
+		}
+
+		xhr.onprogress = function onDownloadProgress(e) {
+			that.emit('downloadProgress', e.loaded, e.lengthComputable ? e.total : null);
+		};
+
+		if (xhr.upload && body != null) {
+			xhr.upload.onprogress = function onUploadProgress(e) {
+				that.emit('uploadProgress', e.loaded, e.lengthComputable ? e.total : null);
+			};
+		}
+
+		xhr.onerror = function onError() {
+			done(new Error('Failed to ' + method + ' ' + String(url)));
+		};
+
+		xhr.onabort = function onAbort() {
+
+			// `abort()` finishes the request itself
+			if (that.aborted) {
+				return;
+			}
+
+			done(new Blast.Classes.AbortError('The request was aborted'));
+		};
+
+		xhr.ontimeout = function onTimeout() {
+
+			var err = new Blast.Classes.TimeoutError('The request took longer than ' + xhr.timeout + 'ms', xhr.timeout);
+
+			err.code = 'ETIMEDOUT';
+
+			done(err);
+		};
+
+		xhr.onload = function onLoad() {
+
+			var response_url = xhr.responseURL || String(url),
+			    response,
+			    headers,
+			    body;
+
+			headers = parseHeaders(xhr.getAllResponseHeaders());
+
+			// The browser followed a redirect,
+			// but it does not tell us how many
+			if (response_url != String(url)) {
+				that.redirect_count++;
+
+				that.redirects.push({
+					url      : String(url),
+					method   : method,
+					status   : null,
+					location : response_url
+				});
+			}
+
+			response = new Response({
+				request     : that,
+				raw         : xhr,
+				status      : xhr.status,
+				status_text : xhr.statusText,
+				headers     : headers,
+				url         : response_url,
+				redirects   : that.redirects.slice(0),
+				body        : xhr.responseText
+			});
+
+			body = parseBody(headers, xhr.responseText);
+
+			done(createStatusError(xhr.status, xhr.statusText, body, method, url), xhr, body, response);
+		};
+
+		xhr.send(body == null ? null : body);
+	});
+
+	/**
+	 * The statuses that are redirects when they have a location
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {Object}
+	 */
+	var redirect_statuses = {
+		301 : true,
+		302 : true,
+		303 : true,
+		307 : true,
+		308 : true
+	};
+
+	/**
+	 * Headers the browser does not allow us to set
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @type     {Object}
+	 */
+	var unsafe_headers = {
+		'accept-encoding' : true,
+		'connection'      : true,
+		'content-length'  : true,
+		'cookie'          : true,
+		'host'            : true,
+		'referer'         : true,
+		'referrer'        : true
+	};
+
+	/**
+	 * Parse the raw headers string of an XMLHttpRequest
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {String}   raw
+	 *
+	 * @return   {Object}
+	 */
+	function parseHeaders(raw) {
+
+		var result = {},
+		    lines = (raw || '').split(/\r?\n/),
+		    index,
+		    key,
+		    i;
+
+		for (i = 0; i < lines.length; i++) {
+			index = lines[i].indexOf(':');
+
+			if (index < 1) {
+				continue;
+			}
+
+			key = lines[i].slice(0, index).trim().toLowerCase();
+			result[key] = lines[i].slice(index + 1).trim();
+		}
+
+		return result;
+	}
+
+	/**
+	 * Parse the body as JSON if the content-type says so
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   headers
+	 * @param    {String}   body
+	 *
+	 * @return   {Mixed}
+	 */
+	function parseBody(headers, body) {
+
+		if (headers['content-type'] && (~headers['content-type'].indexOf('json'))) {
+			return Blast.Bound.JSON.safeParse(body);
+		}
+
+		return body;
+	}
+
+	/**
+	 * Create an error for 4xx and 5xx responses
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.2.0
+	 * @version  0.4.3
+	 *
+	 * @param    {Number}   status
+	 * @param    {String}   status_text
+	 * @param    {Mixed}    body          The (parsed) body
+	 * @param    {String}   method
+	 * @param    {URL}      url
+	 *
+	 * @return   {Error|null}
+	 */
+	function createStatusError(status, status_text, body, method, url) {
+
+		var error;
+
+		if (status < 400) {
+			return null;
+		}
+
+		error = status + ' - ' + status_text + '\n';
+
+		if (body && typeof body == 'object') {
+			if (body.code) {
+				error += '  Body error code: ' + body.code + '\n';
+			}
+
+			if (body.message) {
+				error += '  Body error message: ' + body.message + '\n';
+			}
+		}
+
+		error += 'on ' + method + ' ' + String(url) + '\n';
+
+		return new Error(error);
+	}
+
+	/**
+	 * Create a Response instance for the given raw response
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {IncomingMessage}   res
+	 * @param    {URL}               url      The url that was requested
+	 * @param    {Buffer}            body     The complete body
+	 * @param    {Stream}            stream   The body stream, if it wasn't read
+	 *
+	 * @return   {Develry.Response}
+	 */
+	Request.setMethod(function createResponse(res, url, body, stream) {
+		return new Response({
+			request     : this,
+			raw         : res,
+			status      : res.statusCode,
+			status_text : res.statusMessage,
+			headers     : res.headers,
+			url         : String(url),
+			redirects   : this.redirects.slice(0),
+			body        : body,
+			stream      : stream
+		});
+	});
+
+	/**
+	 * Start this request
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.2.0
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}     options
+	 * @param    {Function}   callback
+	 *
+	 * @return   {Pledge}
+	 */
+	Request.setMethod(function start(options, callback) {
+
+		if (typeof options == 'function') {
+			callback = options;
+			options = null;
+		}
+
+		// Don't start the same request twice
+		if (this.original_url) {
+			return;
+		}
+
+		// Store the original url
+		this.original_url = this.url + '';
+
+		// Don't change the caller's options or headers
+		options = Collection.Object.assign({}, options);
+		options.headers = Collection.Object.assign({}, options.headers, this.headers);
+		options.url = this.url;
+
+		// Do the response, follow redirects
+		return this.http_request(options, callback);
+	});
+
+	/**
+	 * The Response class in the Develry namespace:
+	 * a fetch-like wrapper around a response
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @param    {Object}   options
+	 */
+	var Response = Collection.Function.inherits(null, 'Develry', function Response(options) {
+
+		if (!options) {
+			options = {};
+		}
+
+		// The request that created this response
+		this.request = options.request || null;
+
+		// The original response object (IncomingMessage or XMLHttpRequest)
+		this.raw = options.raw || null;
+
+		this.status = options.status || 0;
+		this.statusText = options.status_text || '';
+		this.headers = options.headers || {};
+		this.url = options.url || '';
+
+		// The redirects that were followed to get here
+		this.redirects = options.redirects || [];
+		this.redirected = this.redirects.length > 0;
+
+		// Is this a successful response?
+		this.ok = this.status >= 200 && this.status < 300;
+
+		// The body data or the stream it can be read from
+		this._body = options.body;
+		this._stream = options.stream || null;
+	});
+
+	/**
+	 * Get the body data,
+	 * read it from the stream first if needed
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Pledge}
+	 */
+	Response.setMethod(function _readBody() {
+
+		var that = this,
+		    chunks,
+		    pledge;
+
+		if (this._body_pledge) {
+			return this._body_pledge;
+		}
+
+		pledge = this._body_pledge = new Blast.Classes.Pledge();
+
+		if (this._body != null || !this._stream) {
+			pledge.resolve(this._body == null ? '' : this._body);
+			return pledge;
+		}
+
+		chunks = [];
+
+		this._stream.on('data', function gotData(data) {
+			chunks.push(data);
+		});
+
+		this._stream.on('error', function gotError(err) {
+			pledge.reject(err);
+		});
+
+		this._stream.on('end', function ended() {
+			that._body = Buffer.concat(chunks);
+			pledge.resolve(that._body);
+		});
+
+		return pledge;
+	});
+
+	/**
+	 * Get the body as a string
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Pledge}
+	 */
+	Response.setMethod(function text() {
+		return this._readBody().then(function gotBody(body) {
+
+			if (typeof body == 'string') {
+				return body;
+			}
+
+			if (Blast.isNode) {
+				return body.toString('utf-8');
+			}
+
+			return new TextDecoder('utf-8').decode(body);
+		});
+	});
+
+	/**
+	 * Get the body parsed as JSON
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Pledge}
+	 */
+	Response.setMethod(function json() {
+		return this.text().then(function gotText(text) {
+			return JSON.parse(text);
+		});
+	});
+
+	/**
+	 * Get the body as a Buffer on node.js,
+	 * or as a Uint8Array in the browser
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.4.3
+	 * @version  0.4.3
+	 *
+	 * @return   {Pledge}
+	 */
+	Response.setMethod(function buffer() {
+		return this._readBody().then(function gotBody(body) {
+
+			if (typeof body != 'string') {
+				return body;
+			}
+
+			if (Blast.isNode) {
+				return Buffer.from(body, 'utf-8');
+			}
+
+			return new TextEncoder().encode(body);
+		});
+	});
+
+	/**
+	 * Fetch a simple resource
+	 *
+	 * @author   Jelle De Loecker   <jelle@develry.be>
+	 * @since    0.2.0
+	 * @version  0.4.3
+	 *
+	 * @param    {String|Object}  url       The url or an options object
+	 * @param    {Object}         options   Optional request options
+	 * @param    {Function}       callback
+	 *
+	 * @return   {Pledge}   A pledge that resolves with a Response instance
+	 */
+	Blast.fetch = function fetch(url, options, callback) {
+
+		var req = new Request();
+
+		if (typeof options == 'function') {
+			callback = options;
+			options = null;
+		}
+
+		if (options) {
+			options = Collection.Object.assign({}, options);
+			options.url = url;
+		} else {
+			options = url;
+		}
 
 		// Start the request
-		return req.http_request(url, callback);
+		return req.http_request(options, callback);
 	};
 
 	if (!Blast.isNode) {
@@ -143,7 +143,7 @@ module.exports = function BlastURL(Blast, Collection) {
 	 *
 	 * @author   Jelle De Loecker   <jelle@develry.be>
 	 * @since    0.1.3
-	 * @version  0.1.12
+	 * @version  0.4.3
 	 *
 	 * @param    {String}   url
 	 *
@@ -160,7 +160,12 @@ module.exports = function BlastURL(Blast, Collection) {
 				url = liburl.resolve(origin, url);
 			}
 
-			result = new NewURL(url);
+			// Newer node.js versions have a global WHATWG URL class
+			if (Blast.Classes.URL !== NewURL) {
+				result = new Blast.Classes.URL(url);
+			} else {
+				result = new NewURL(url);
+			}
 		} else {
 
 			if (!origin) {
@@ -0,0 +1,166 @@
+var assert = require('assert'),
+    CookieJar,
+    Blast;
+
+describe('CookieJar', function() {
+
+	before(function() {
+		Blast = require('../index.js')();
+		CookieJar = Blast.Classes.Develry.CookieJar;
+	});
+
+	describe('#setCookie(header, url)', function() {
+		it('should parse and store the cookie', function() {
+
+			var jar = new CookieJar(),
+			    cookie = jar.setCookie('sid=a%20b; Path=/; HttpOnly; SameSite=Strict', 'http://www.example.com/a/b');
+
+			assert.strictEqual(cookie.name, 'sid');
+			assert.strictEqual(cookie.value, 'a%20b');
+			assert.strictEqual(cookie.domain, 'www.example.com');
+			assert.strictEqual(cookie.path, '/');
+			assert.strictEqual(cookie.http_only, true);
+			assert.strictEqual(cookie.same_site, 'strict');
+			assert.strictEqual(cookie.host_only, true);
+			assert.strictEqual(jar.cookies['www.example.com']['/'].sid, cookie);
+		});
+
+		it('should store the value without decoding it', function() {
+
+			var jar = new CookieJar();
+
+			assert.strictEqual(jar.setCookie('t=true', 'http://example.com/').value, 'true');
+			assert.strictEqual(jar.setCookie('n=1e3', 'http://example.com/').value, '1e3');
+			assert.strictEqual(jar.setCookie('sid=ab+c/d==; Path=/', 'http://example.com/').value, 'ab+c/d==');
+			assert.strictEqual(jar.setCookie('q="a b"', 'http://example.com/').value, '"a b"');
+			assert.strictEqual(jar.setCookie('=nameless', 'http://example.com/'), null);
+
+			assert.strictEqual(jar.getCookieHeader('http://example.com/'), 't=true; n=1e3; sid=ab+c/d==; q="a b"');
+		});
+
+		it('should use the directory of the url as the default path', function() {
+
+			var jar = new CookieJar();
+
+			assert.strictEqual(jar.setCookie('a=1', 'http://example.com/docs/page').path, '/docs');
+			assert.strictEqual(jar.setCookie('b=1', 'http://example.com/page').path, '/');
+		});
+
+		it('should prefer max-age over expires', function() {
+
+			var jar = new CookieJar(),
+			    cookie = jar.setCookie('a=1; Max-Age=60; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'http://example.com/');
+
+			assert.strictEqual(cookie.expires > Date.now(), true);
+		});
+
+		it('should reject cookies for other domains', function() {
+
+			var jar = new CookieJar();
+
+			assert.strictEqual(jar.setCookie('a=1; Domain=other.com', 'http://example.com/'), null);
+			assert.strictEqual(jar.setCookie('a=1; Domain=com', 'http://example.com/'), null);
+			assert.strictEqual(jar.setCookie('a=1; Domain=.example.com', 'http://www.example.com/').domain, 'example.com');
+		});
+
+		it('should reject secure cookies from insecure urls', function() {
+
+			var jar = new CookieJar();
+
+			assert.strictEqual(jar.setCookie('a=1; Secure', 'http://example.com/'), null);
+			assert.strictEqual(jar.setCookie('a=1; SameSite=None', 'https://example.com/'), null);
+			assert.strictEqual(jar.setCookie('a=1; Secure; SameSite=None', 'https://example.com/').secure, true);
+		});
+
+		it('should remove the cookie when it is set to expire', function() {
+
+			var jar = new CookieJar();
+
+			jar.setCookie('a=1', 'http://example.com/');
+			jar.setCookie('a=1; Max-Age=0', 'http://example.com/');
+
+			assert.deepEqual(jar.getCookies('http://example.com/'), []);
+		});
+	});
+
+	describe('#getCookieHeader(url, options)', function() {
+		it('should only return the cookies matching the url', function() {
+
+			var jar = new CookieJar();
+
+			jar.setCookie('host=1', 'http://www.example.com/');
+			jar.setCookie('domain=2; Domain=example.com', 'http://www.example.com/');
+			jar.setCookie('path=3; Path=/docs', 'http://www.example.com/');
+			jar.setCookie('secure=4; Secure', 'https://www.example.com/');
+
+			assert.strictEqual(jar.getCookieHeader('http://www.example.com/'), 'host=1; domain=2');
+			assert.strictEqual(jar.getCookieHeader('http://sub.example.com/'), 'domain=2');
+			assert.strictEqual(jar.getCookieHeader('http://www.example.com/docs/a'), 'path=3; host=1; domain=2');
+			assert.strictEqual(jar.getCookieHeader('http://www.example.com/documents'), 'host=1; domain=2');
+			assert.deepEqual(jar.getCookieHeader('https://www.example.com/').split('; ').sort(), ['domain=2', 'host=1', 'secure=4']);
+			assert.strictEqual(jar.getCookieHeader('http://example.org/'), '');
+		});
+
+		it('should respect the SameSite attribute for cross-site requests', function() {
+
+			var jar = new CookieJar();
+
+			jar.setCookie('strict=1; SameSite=Strict', 'https://example.com/');
+			jar.setCookie('lax=2; SameSite=Lax', 'https://example.com/');
+			jar.setCookie('none=3; SameSite=None; Secure', 'https://example.com/');
+
+			assert.strictEqual(jar.getCookieHeader('https://example.com/', {site: 'https://www.example.com'}), 'strict=1; lax=2; none=3');
+			assert.strictEqual(jar.getCookieHeader('https://example.com/', {site: 'https://other.org'}), 'lax=2; none=3');
+			assert.strictEqual(jar.getCookieHeader('https://example.com/', {site: 'https://other.org', method: 'post'}), 'none=3');
+		});
+
+		it('should not return expired cookies', function(done) {
+
+			var jar = new CookieJar();
+
+			jar.setCookie('a=1; Max-Age=0.01', 'http://example.com/');
+
+			assert.strictEqual(jar.getCookieHeader('http://example.com/'), 'a=1');
+
+			setTimeout(function() {
+				assert.strictEqual(jar.getCookieHeader('http://example.com/'), '');
+				done();
+			}, 20);
+		});
+	});
+
+	describe('#removeCookie(name, domain, path)', function() {
+		it('should remove the cookie', function() {
+
+			var jar = new CookieJar();
+
+			jar.setCookie('a=1', 'http://example.com/');
+			jar.setCookie('a=1', 'http://example.org/');
+
+			assert.strictEqual(jar.removeCookie('a', 'example.com'), 1);
+			assert.strictEqual(jar.getCookieHeader('http://example.com/'), '');
+			assert.strictEqual(jar.getCookieHeader('http://example.org/'), 'a=1');
+		});
+	});
+
+	describe('#toDry()', function() {
+		it('should be able to dry & undry the jar without the expired cookies', function(done) {
+
+			var jar = new CookieJar();
+
+			jar.setCookie('a=1; Max-Age=60', 'http://example.com/');
+			jar.setCookie('b=2', 'http://example.com/');
+			jar.setCookie('c=3; Max-Age=0.001', 'http://example.com/');
+
+			setTimeout(function() {
+
+				var revived = JSON.undry(JSON.dry(jar));
+
+				assert.strictEqual(revived instanceof CookieJar, true);
+				assert.strictEqual(revived.getCookieHeader('http://example.com/'), 'a=1; b=2');
+				assert.strictEqual(revived.cookies['example.com']['/'].c, undefined);
+				done();
+			}, 5);
+		});
+	});
+});
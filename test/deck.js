@@ -254,6 +254,434 @@ describe('Deck', function() {
 		});
 	});
 
+	describe('#map(fnc) - Iterator combinators', function() {
+		it('should not consume the deck', function() {
+
+			var d = new Deck();
+
+			d.set('a', 'A');
+			d.set('b', 'B', 200);
+			d.set('c', 'C');
+
+			function lower(value) {
+				return value.toLowerCase();
+			}
+
+			assert.deepEqual(d.map(lower).toArray(), ['b', 'a', 'c']);
+			assert.deepEqual(d.map(lower).toArray(), ['b', 'a', 'c']);
+			assert.deepEqual(d.take(2).toArray(), ['B', 'A']);
+			assert.deepEqual(d.toArray(), ['B', 'A', 'C']);
+			assert.deepEqual(d.toArray(), ['B', 'A', 'C']);
+
+			assert.equal(d.reduce(function(str, value) {
+				return str + value;
+			}, ''), 'BAC');
+
+			// The deck's own cursor is left untouched
+			assert.equal(d.next().value, 'B');
+			assert.deepEqual(d.skip(1).toArray(), ['A', 'C']);
+			assert.equal(d.next().value, 'A');
+		});
+	});
+
+	describe('#remove(key)', function() {
+		it('should remove the entry', function() {
+
+			var d = new Deck();
+
+			d.set('a', 'A');
+			d.set('b', 'B', 50);
+			d.set('c', 'C', 200);
+
+			assert.deepEqual(d.getSorted(), ['C', 'A', 'B']);
+
+			assert.strictEqual(d.remove('a'), true);
+			assert.strictEqual(d.remove('a'), false);
+
+			assert.strictEqual(d.has('a'), false);
+			assert.strictEqual(d.getById(0), undefined);
+			assert.deepEqual(d.getSorted(), ['C', 'B']);
+			assert.deepEqual(d.getSortedItems().map(function(item) { return item.key; }), ['c', 'b']);
+			assert.strictEqual(d.findByKey('b'), 'B');
+		});
+
+		it('should be possible to dry & undry the deck afterwards', function() {
+
+			var d = new Deck(),
+			    undry;
+
+			d.set('a', 'A');
+			d.set('b', 'B');
+			d.remove('a');
+
+			undry = JSON.undry(JSON.dry(d));
+
+			assert.deepEqual(undry.getSorted(), ['B']);
+		});
+	});
+
+	describe('#setWeight(key, weight)', function() {
+		it('should change the position of the entry', function() {
+
+			var d = new Deck();
+
+			d.set('a', 'A');
+			d.set('b', 'B');
+			d.set('c', 'C');
+
+			assert.deepEqual(d.getSorted(), ['A', 'B', 'C']);
+
+			d.setWeight('c', 101);
+			assert.deepEqual(d.getSorted(), ['C', 'A', 'B']);
+
+			d.setWeight('c', 100);
+			assert.deepEqual(d.getSorted(), ['A', 'B', 'C']);
+
+			d.setWeight('a', 0);
+			assert.deepEqual(d.getSorted(), ['B', 'C', 'A']);
+
+			// The result should be the same as a full sort
+			d.sorted = d.sortedItems = false;
+			assert.deepEqual(d.getSorted(), ['B', 'C', 'A']);
+		});
+	});
+
+	describe('#moveBefore(key, ref) & #moveAfter(key, ref)', function() {
+		it('should move the entry next to the reference', function() {
+
+			var d = new Deck();
+
+			d.set('a', 'A');
+			d.set('b', 'B');
+			d.set('c', 'C');
+			d.set('d', 'D', 50);
+
+			d.moveBefore('c', 'b');
+			assert.deepEqual(d.getSorted(), ['A', 'C', 'B', 'D']);
+
+			d.moveAfter('a', 'b');
+			assert.deepEqual(d.getSorted(), ['C', 'B', 'A', 'D']);
+
+			d.moveAfter('c', 'd');
+			assert.deepEqual(d.getSorted(), ['B', 'A', 'D', 'C']);
+			assert.strictEqual(d.dict.c.weight, 50);
+
+			d.moveBefore('b', 'd');
+			assert.deepEqual(d.getSorted(), ['A', 'B', 'D', 'C']);
+
+			assert.strictEqual(d.moveBefore('a', 'nope'), false);
+
+			// The result should be the same as a full sort
+			d.sorted = d.sortedItems = false;
+			assert.deepEqual(d.getSorted(), ['A', 'B', 'D', 'C']);
+		});
+	});
+
+	describe('#indexOf(key)', function() {
+		it('should return the position of the key in the sorted values', function() {
+
+			var d = new Deck();
+
+			d.set('a', 'A');
+			d.set('b', 'B', 200);
+
+			assert.strictEqual(d.indexOf('a'), 1);
+			assert.strictEqual(d.indexOf('b'), 0);
+			assert.strictEqual(d.indexOf('c'), -1);
+		});
+	});
+
+	describe('#slice(start, end)', function() {
+		it('should return part of the sorted values', function() {
+
+			var d = new Deck();
+
+			d.set('a', 'A');
+			d.set('b', 'B');
+			d.set('c', 'C', 200);
+
+			assert.deepEqual(d.slice(1), ['A', 'B']);
+			assert.deepEqual(d.slice(0, 2), ['C', 'A']);
+			assert.deepEqual(d.slice(-1), ['B']);
+		});
+	});
+
+	describe('#set(key, value, {before, after})', function() {
+		it('should sort the entries by their constraints, then by weight', function() {
+
+			var d = new Deck();
+
+			d.set('render', 'R', {weight: 200, after: 'auth'});
+			d.set('log', 'L', 300);
+			d.set('auth', 'A');
+			d.set('session', 'S', {before: ['auth', 'nonexistent']});
+			d.push('P', {weight: 150, before: 'render'});
+
+			assert.deepEqual(d.getSorted(), ['L', 'P', 'S', 'A', 'R']);
+
+			// Only a number keeps the constraints
+			d.set('render', 'R', 200);
+			assert.deepEqual(d.getSorted(), ['L', 'P', 'S', 'A', 'R']);
+
+			// Options without constraints remove them
+			d.set('render', 'R', {weight: 200});
+			assert.deepEqual(d.getSorted(), ['L', 'P', 'R', 'S', 'A']);
+			assert.strictEqual(d.constraintCount, 2);
+		});
+
+		it('should move the constrained entries as little as possible', function() {
+
+			var d = new Deck();
+
+			d.set('a', 'A');
+			d.set('b', 'B');
+			d.set('c', 'C');
+			d.set('d', 'D', {before: 'a'});
+
+			assert.deepEqual(d.getSorted(), ['D', 'A', 'B', 'C']);
+
+			// The reference has a higher weight than the constrained entry
+			d = new Deck();
+			d.set('x', 'X');
+			d.set('render', 'Render');
+			d.set('auth', 'Auth', 200);
+			d.set('plugin', 'Plugin', {weight: 50, before: 'auth'});
+
+			assert.deepEqual(d.getSorted(), ['Plugin', 'Auth', 'X', 'Render']);
+
+			// And the other way around
+			d = new Deck();
+			d.set('late', 'Late', {weight: 300, after: 'ref'});
+			d.set('m', 'M', 200);
+			d.set('ref', 'Ref');
+
+			assert.deepEqual(d.getSorted(), ['M', 'Ref', 'Late']);
+		});
+
+		it('should keep the constraints when removing or moving entries', function() {
+
+			var d = new Deck(),
+			    undry;
+
+			d.set('a', 'A');
+			d.set('b', 'B', {weight: 300, after: 'a'});
+			d.set('c', 'C', 200);
+
+			assert.deepEqual(d.getSorted(), ['C', 'A', 'B']);
+
+			d.setWeight('c', 0);
+			assert.deepEqual(d.getSorted(), ['A', 'B', 'C']);
+
+			d.remove('a');
+			assert.deepEqual(d.getSorted(), ['B', 'C']);
+
+			undry = JSON.undry(JSON.dry(d));
+			undry.set('a', 'A');
+			assert.deepEqual(undry.getSorted(), ['A', 'B', 'C']);
+		});
+
+		it('should place entries that are both pulled forward and waiting', function() {
+
+			var d = new Deck();
+
+			// "b" is pulled in front of "c", but has to wait for "a"
+			d.set('a', 'A', 0);
+			d.set('b', 'B', {weight: 100, before: 'c', after: 'a'});
+			d.set('c', 'C', 50);
+
+			assert.deepEqual(d.getSorted(), ['A', 'B', 'C']);
+
+			d = new Deck();
+
+			// "c" waits for "a", but "b" has to come before it too
+			d.set('a', 'A', {weight: 0, before: 'b'});
+			d.set('b', 'B', {weight: 50, before: 'c'});
+			d.set('c', 'C', {weight: 100, after: 'a'});
+
+			assert.deepEqual(d.getSorted(), ['A', 'B', 'C']);
+		});
+
+		it('should throw an error listing the cycle', function() {
+
+			var d = new Deck(),
+			    error;
+
+			d.set('a', 'A', {after: 'c'});
+			d.set('b', 'B', {after: 'a'});
+			d.set('c', 'C', {after: 'b'});
+			d.set('d', 'D', {before: 'a'});
+
+			try {
+				d.getSorted();
+			} catch (err) {
+				error = err;
+			}
+
+			assert.strictEqual(error.message, 'The Deck ordering constraints contain a cycle: a -> b -> c -> a');
+			assert.deepEqual(error.cycle, ['a', 'b', 'c', 'a']);
+
+			d.remove('c');
+			assert.deepEqual(d.getSorted(), ['D', 'A', 'B']);
+		});
+	});
+
+	describe('#on(type, listener)', function() {
+		it('should emit add, remove, update & reorder events', function() {
+
+			var d = new Deck(),
+			    log = [];
+
+			['add', 'remove', 'update', 'reorder'].forEach(function eachType(type) {
+				d.on(type, function onChange() {
+					log.push([type].concat(Array.prototype.slice.call(arguments)).join(':'));
+				});
+			});
+
+			d.set('a', 'A');
+			d.set('b', 'B');
+			d.set('c', 'C', 200);
+			d.setWeight('c', 0);
+			d.set('b', 'B2');
+			d.remove('a');
+			d.set('b', 'B2');
+
+			assert.deepEqual(log, [
+				'add:a:A:0',
+				'add:b:B:1',
+				'add:c:C:0',
+				'reorder:c:0:2',
+				'update:b:B2:B:1',
+				'remove:a:A:0'
+			]);
+		});
+
+		it('should emit positions that can be applied in order', function() {
+
+			var d = new Deck(),
+			    mirror = [];
+
+			d.on('add', function onAdd(key, value, index) {
+				mirror.splice(index, 0, value);
+			});
+
+			d.on('remove', function onRemove(key, value, index) {
+				mirror.splice(index, 1);
+			});
+
+			d.on('reorder', function onReorder(key, from, to) {
+				mirror.splice(to, 0, mirror.splice(from, 1)[0]);
+			});
+
+			d.on('update', function onUpdate(key, value, old_value, index) {
+				mirror[index] = value;
+			});
+
+			d.set('a', 'A');
+			d.set('b', 'B', 50);
+			d.set('c', 'C', 150);
+			d.set('d', 'D');
+			d.moveAfter('c', 'd');
+			d.set('a', 'A2', 10);
+
+			// Constraints can move multiple entries at once
+			d.set('e', 'E', {weight: 300, after: 'b'});
+			d.remove('b');
+			d.set('f', 'F', {before: 'd'});
+
+			assert.deepEqual(mirror, d.getSorted());
+		});
+	});
+
+	describe('#view(filter, map)', function() {
+		it('should keep the filtered & mapped values in sync', function() {
+
+			var d = new Deck(),
+			    map_count = 0,
+			    log = [],
+			    view;
+
+			d.set('a', 1);
+			d.set('b', 2);
+			d.set('c', 3, 200);
+
+			view = d.view(function isOdd(value) {
+				return value % 2 == 1;
+			}, function double(value) {
+				map_count++;
+				return value * 2;
+			});
+
+			view.on('add', function onAdd(key, value, index) {
+				log.push('add:' + key + ':' + value + ':' + index);
+			});
+
+			view.on('remove', function onRemove(key, value, index) {
+				log.push('remove:' + key + ':' + index);
+			});
+
+			assert.deepEqual(view.getSorted(), [6, 2]);
+			assert.deepEqual(view.keys, ['c', 'a']);
+			assert.strictEqual(view.length, 2);
+
+			d.set('d', 5, 300);
+			d.set('a', 4);
+			d.set('b', 2, 0);
+
+			assert.deepEqual(view.getSorted(), [10, 6]);
+			assert.deepEqual(log, ['add:d:10:0', 'remove:a:2']);
+
+			// Unchanged values are not mapped again
+			assert.strictEqual(map_count, 3);
+
+			view.destroy();
+			d.set('e', 7);
+
+			assert.deepEqual(view.getSorted(), [10, 6]);
+			assert.deepEqual(JSON.undry(JSON.dry(d)).getSorted(), d.getSorted());
+		});
+
+		it('should only filter & map the changed entry', function() {
+
+			var d = new Deck(),
+			    filter_count = 0,
+			    map_count = 0,
+			    log = [],
+			    view,
+			    i;
+
+			for (i = 0; i < 20; i++) {
+				d.set('k' + i, i, i * 10);
+			}
+
+			view = d.view(function isEven(value) {
+				filter_count++;
+				return value % 2 == 0;
+			}, function double(value) {
+				map_count++;
+				return value * 2;
+			});
+
+			view.on('reorder', function onReorder(key, from, to) {
+				log.push('reorder:' + key + ':' + from + ':' + to);
+			});
+
+			view.on('update', function onUpdate(key, value, old_value, index) {
+				log.push('update:' + key + ':' + value + ':' + old_value + ':' + index);
+			});
+
+			filter_count = map_count = 0;
+
+			d.setWeight('k2', 1000);
+			d.set('k4', 40, 150);
+			d.remove('k7');
+
+			assert.strictEqual(filter_count, 2);
+			assert.strictEqual(map_count, 1);
+			assert.deepEqual(log, ['reorder:k2:8:0', 'reorder:k4:8:3', 'update:k4:80:8:3']);
+			assert.deepEqual(view.keys, ['k2', 'k18', 'k16', 'k4', 'k14', 'k12', 'k10', 'k8', 'k6', 'k0']);
+		});
+	});
+
 	describe('#toDry() & .unDry()', function() {
 
 		it('should be used when DRY-ing the object', function() {
@@ -279,6 +707,20 @@ describe('Deck', function() {
 			assert.equal(undry.get('mykey'), 'keyval');
 			assert.equal(undry.insertCount, d.insertCount);
 		});
+
+		it('should not include the listener bookkeeping', function() {
+
+			var d = new Deck(),
+			    attributes;
+
+			d.on('change', function() {});
+			d._warned_types = {change: true};
+			d.custom = 1;
+
+			attributes = d.toDry().value.attributes;
+
+			assert.deepEqual(Object.keys(attributes), ['custom']);
+		});
 	});
 
 	describe('#clone()', function() {
@@ -320,5 +762,23 @@ describe('Deck', function() {
 			// Those should still be the original order
 			assert.equal(temp.join(','), '0,a,b');
 		});
+
+		it('should keep the constraints & order of the entries', function() {
+
+			var clone,
+			    ori = new Deck();
+
+			ori.set('a', 'A');
+			ori.set('b', 'B');
+			ori.set('c', 'C', {after: 'd'});
+			ori.moveBefore('b', 'a');
+
+			clone = ori.clone();
+			clone.set('d', 'D');
+			clone.push('E');
+
+			assert.deepEqual(clone.getSorted(), ['B', 'A', 'D', 'C', 'E']);
+			assert.deepEqual(ori.getSorted(), ['B', 'A', 'C']);
+		});
 	});
 });
\ No newline at end of file
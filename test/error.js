@@ -18,4 +18,49 @@ describe('Error', function() {
 			assert.equal(revive.stack, e.stack, 'Stack is not equal');
 		});
 	});
-});
\ No newline at end of file
+
+	describe('TimeoutError', function() {
+		it('should be an Error', function() {
+
+			var err = new Blast.Classes.TimeoutError(10);
+
+			assert.equal(err instanceof Error, true);
+			assert.equal(err.name, 'TimeoutError');
+			assert.equal(err.message, 'Timeout of 10ms was reached');
+			assert.equal(err.timeout, 10);
+		});
+
+		it('should be able to stringify & revive the error', function() {
+
+			var e = new Blast.Classes.TimeoutError('msg', 10),
+			    revive = JSON.undry(JSON.dry(e));
+
+			assert.equal(revive instanceof Blast.Classes.TimeoutError, true);
+			assert.equal(revive.message, e.message, 'Message is not equal');
+			assert.equal(revive.stack, e.stack, 'Stack is not equal');
+			assert.equal(revive.timeout, 10);
+		});
+	});
+
+	describe('AbortError', function() {
+		it('should be an Error', function() {
+
+			var err = new Blast.Classes.AbortError();
+
+			assert.equal(err instanceof Error, true);
+			assert.equal(err.name, 'AbortError');
+			assert.equal(err.code, 'ABORT_ERR');
+			assert.equal(err.message, 'The operation was aborted');
+		});
+
+		it('should be able to stringify & revive the error', function() {
+
+			var e = new Blast.Classes.AbortError('msg'),
+			    revive = JSON.undry(JSON.dry(e));
+
+			assert.equal(revive instanceof Blast.Classes.AbortError, true);
+			assert.equal(revive.message, e.message, 'Message is not equal');
+			assert.equal(revive.stack, e.stack, 'Stack is not equal');
+		});
+	});
+});
@@ -151,6 +151,29 @@ describe('Function Flow', function() {
 				}, 10);
 			}]);
 		});
+
+		it('should stop scheduling tasks when the pledge is cancelled', function(done) {
+
+			var called = 0,
+			    pledge;
+
+			pledge = Function.series([function(next) {
+				called++;
+				pledge.cancel();
+				next();
+			}, function(next) {
+				called++;
+				next();
+			}], function(err) {
+				throw new Error('The callback should not have been called');
+			});
+
+			setTimeout(function() {
+				assert.equal(called, 1, 'The second task should not have run');
+				assert.equal(pledge.state, 3);
+				done();
+			}, 20);
+		});
 	});
 
 	describe('.series(objectTasks, callback)', function() {
@@ -372,6 +395,34 @@ describe('Function Flow', function() {
 				done();
 			});
 		});
+
+		it('should stop starting tasks when the pledge is cancelled', function(done) {
+
+			var tasks = [],
+			    started = 0,
+			    pledge,
+			    i;
+
+			for (i = 0; i < 10; i++) {
+				tasks[i] = function(next) {
+					started++;
+					setTimeout(next, 5);
+				};
+			}
+
+			pledge = Function.parallel(2, tasks, function(err) {
+				throw new Error('The callback should not have been called');
+			});
+
+			setTimeout(function() {
+				pledge.cancel();
+			}, 1);
+
+			setTimeout(function() {
+				assert.equal(started, 2, 'Only the first 2 tasks should have started');
+				done();
+			}, 30);
+		});
 	});
 
 	describe('.parallel(noAsync, limit, tasks, callback)', function() {
@@ -554,6 +605,48 @@ describe('Function Flow', function() {
 		});
 	});
 
+	describe('.regulate(fnc, rate_limit)', function() {
+		it('should ignore the calls that exceed the rate', function() {
+
+			var count = 0,
+			    fnc;
+
+			fnc = Function.regulate(function() {
+				count++;
+			}, {amount: 2, interval: 1000});
+
+			fnc();
+			fnc();
+			fnc();
+
+			assert.strictEqual(count, 2);
+			assert.strictEqual(fnc.rate_limiter.getStats().taken, 2);
+		});
+	});
+
+	describe('.throttle(fnc, rate_limit)', function() {
+		it('should delay the calls that exceed the rate', function(done) {
+
+			var values = [],
+			    fnc;
+
+			fnc = Function.throttle(function(value) {
+				values.push(value);
+
+				if (values.length == 3) {
+					assert.deepEqual(values, [1, 2, 3]);
+					done();
+				}
+			}, {amount: 1, interval: 5, burst: 2});
+
+			fnc(1);
+			fnc(2);
+			fnc(3);
+
+			assert.deepEqual(values, [1, 2]);
+		});
+	});
+
 	describe('.forEach(data, task, callback)', function(done) {
 		it('should handle arrays', function(done) {
 
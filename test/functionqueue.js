@@ -118,6 +118,433 @@ describe('FunctionQueue', function() {
 		});
 	});
 
+	describe('#add(fnc, options)', function() {
+		it('should return a pledge that settles with the result of the task', function(done) {
+
+			var q = new FunctionQueue(),
+			    pledge;
+
+			q.start();
+
+			pledge = q.add(function withCallback(next, a, b) {
+				setTimeout(function() {
+					next(null, a + b);
+				}, 1);
+			}, [1, 2]);
+
+			pledge.then(function gotResult(result) {
+				assert.strictEqual(result, 3);
+
+				q.add(function withReturn() {
+					return 'returned';
+				}).then(function gotReturned(result) {
+					assert.strictEqual(result, 'returned');
+
+					q.add(function throws() {
+						throw new Error('Fail');
+					}).then(null, function gotError(err) {
+						assert.strictEqual(err.message, 'Fail');
+						done();
+					});
+				});
+			});
+		});
+
+		it('should run the tasks with the highest priority first', function(done) {
+
+			var q = new FunctionQueue(),
+			    result = '';
+
+			q.add(function() { result += 'c'; }, {priority: 1});
+			q.add(function() { result += 'd'; });
+			q.add(function() { result += 'a'; }, {priority: 10});
+			q.add(function() { result += 'b'; }, {priority: 10});
+
+			q.add(function() {
+				assert.strictEqual(result, 'abcd');
+				done();
+			}, {priority: -1});
+
+			q.start();
+		});
+
+		it('should fail tasks that exceed their timeout and free their slot', function(done) {
+
+			var q = new FunctionQueue(),
+			    failed;
+
+			q.limit = 1;
+			q.start();
+
+			q.add(function slow(next) {
+				setTimeout(function() {
+					next(null, 'too late');
+				}, 50);
+			}, {timeout: 5}).then(null, function gotError(err) {
+				failed = err;
+			});
+
+			q.add(function afterSlow() {
+				assert.strictEqual(failed instanceof Blast.Classes.TimeoutError, true);
+				assert.strictEqual(failed.timeout, 5);
+				assert.strictEqual(q.running, 1);
+				done();
+			});
+		});
+
+		it('should return the pledge of the task with the same id', function(done) {
+
+			var q = new FunctionQueue(),
+			    count = 0,
+			    first,
+			    second;
+
+			first = q.add(function task(next) {
+				count++;
+				setTimeout(next, 5);
+			}, {id: 'same'});
+
+			q.start();
+
+			setTimeout(function() {
+
+				// The first task is still running
+				second = q.add(function task(next) {
+					count++;
+					next();
+				}, {id: 'same'});
+
+				assert.strictEqual(first, second);
+
+				first.then(function() {
+					assert.strictEqual(count, 1);
+					done();
+				});
+			}, 1);
+		});
+	});
+
+	describe('#add(fnc) with a rate limit', function() {
+		it('should delay the tasks that exceed the rate', function(done) {
+
+			var q = new FunctionQueue({limit: false, rate_limit: {amount: 1, interval: 10, burst: 2}}),
+			    delayed = 0,
+			    started = [];
+
+			q.on('rateLimited', function onLimited(delay, queued) {
+				assert.strictEqual(delay > 0, true);
+				assert.strictEqual(queued, 1);
+				delayed++;
+			});
+
+			q.add(function() { started.push(Date.now()); });
+			q.add(function() { started.push(Date.now()); });
+			q.add(function() {
+				started.push(Date.now());
+
+				assert.strictEqual(started[2] - started[0] >= 8, true, 'The third task was not delayed');
+				assert.strictEqual(delayed, 1);
+				assert.strictEqual(q.rate_limiter.getStats().delayed, 1);
+				done();
+			});
+
+			q.start();
+		});
+	});
+
+	describe('#add(name, args, options) with a storage adapter', function() {
+		it('should store the job until it succeeds', function(done) {
+
+			var storage = new Blast.Classes.Develry.MemoryQueueStorage(),
+			    q = new FunctionQueue({storage: storage});
+
+			q.defineTask('double', function double(next, date, nr) {
+				assert.strictEqual(date instanceof Date, true);
+				assert.strictEqual(Object.keys(storage.jobs).length, 1);
+				next(null, nr * 2);
+			});
+
+			q.start();
+
+			q.add('double', [new Date(), 21]).then(function gotResult(result) {
+				assert.strictEqual(result, 42);
+				assert.deepEqual(storage.jobs, {});
+				done();
+			});
+		});
+
+		it('should retry failed jobs & dead-letter them after max_attempts', function(done) {
+
+			var q = new FunctionQueue({storage: new Blast.Classes.Develry.MemoryQueueStorage(), max_attempts: 3}),
+			    failures = 0,
+			    attempts = 0;
+
+			q.defineTask('fail', function fail(next) {
+				attempts++;
+				next(new Error('Fail ' + attempts));
+			});
+
+			q.on('jobFailed', function onFailed(job) {
+				failures++;
+				assert.strictEqual(job.attempts, failures);
+			});
+
+			q.start();
+
+			q.add('fail').then(null, function gotError(err) {
+				assert.strictEqual(err.message, 'Fail 3');
+				assert.strictEqual(failures, 2);
+
+				q.getDeadLetters().then(function gotJobs(jobs) {
+					assert.strictEqual(jobs.length, 1);
+					assert.strictEqual(jobs[0].attempts, 3);
+					assert.strictEqual(jobs[0].error, 'Fail 3');
+					done();
+				});
+			});
+		});
+
+		it('should ignore late callbacks of attempts that timed out', function(done) {
+
+			var q = new FunctionQueue({storage: new Blast.Classes.Develry.MemoryQueueStorage(), max_attempts: 3, limit: 1}),
+			    attempts = 0;
+
+			q.defineTask('slow', function slow(next) {
+
+				var attempt = ++attempts;
+
+				setTimeout(function() {
+					next(null, 'from attempt ' + attempt);
+				}, attempt < 3 ? 115 : 30);
+			});
+
+			q.start();
+
+			q.add('slow', [], {timeout: 50}).then(function gotResult(result) {
+				assert.strictEqual(result, 'from attempt 3');
+				assert.strictEqual(q.running, 0);
+				done();
+			}, done);
+
+			// The first attempt calls back while the third one is running
+			setTimeout(function() {
+				assert.strictEqual(attempts, 3);
+				assert.strictEqual(q.running, 1);
+			}, 120);
+		});
+
+		it('should reject named tasks when there is no storage adapter', function(done) {
+			new FunctionQueue().add('task').then(null, function gotError(err) {
+				assert.strictEqual(err instanceof Error, true);
+				done();
+			});
+		});
+	});
+
+	describe('#restore(callback)', function() {
+		it('should replay the jobs that were left in the storage', function(done) {
+
+			var storage = new Blast.Classes.Develry.MemoryQueueStorage(),
+			    first = new FunctionQueue({storage: storage}),
+			    second;
+
+			// The first queue is never started, like a process that stopped
+			first.add('greet', ['world']);
+			first.destroy();
+
+			second = new FunctionQueue({storage: storage});
+
+			second.defineTask('greet', function greet(next, name) {
+				assert.strictEqual(name, 'world');
+				next();
+
+				assert.deepEqual(storage.jobs, {});
+				done();
+			});
+
+			second.restore(function restored(err, count) {
+				assert.strictEqual(err, null);
+				assert.strictEqual(count, 1);
+				second.start();
+			});
+		});
+	});
+
+	describe('#drain()', function() {
+		it('should resolve when all queued and running tasks are done', function(done) {
+
+			var q = new FunctionQueue({limit: 2}),
+			    count = 0;
+
+			function task(next) {
+				setTimeout(function() {
+					count++;
+					next();
+				}, 5);
+			}
+
+			q.add(task);
+			q.add(task);
+			q.add(task);
+			q.start();
+
+			q.drain().then(function drained() {
+				assert.strictEqual(count, 3);
+
+				// An idle queue is drained right away
+				q.drain().then(function() {
+					done();
+				});
+			});
+		});
+	});
+
+	describe('#resume()', function() {
+		it('should continue running tasks after a pause', function(done) {
+
+			var q = new FunctionQueue(),
+			    result = '';
+
+			q.start();
+
+			q.add(function first() {
+				result += '1';
+				q.pause();
+			});
+
+			q.add(function second() {
+				result += '2';
+			});
+
+			setTimeout(function() {
+				assert.strictEqual(result, '1');
+
+				q.resume();
+
+				q.drain().then(function() {
+					assert.strictEqual(result, '12');
+					done();
+				});
+			}, 10);
+		});
+	});
+
+	describe('lifecycle events', function() {
+		it('should emit enqueue, start, done, error, drain and idle', function(done) {
+
+			var q = new FunctionQueue(),
+			    seen = [];
+
+			['enqueue', 'start', 'done', 'error', 'drain'].forEach(function(type) {
+				q.on(type, function() {
+					seen.push(type);
+				});
+			});
+
+			q.on('idle', function onIdle() {
+				assert.deepEqual(seen, [
+					'enqueue', 'enqueue',
+					'start', 'done',
+					'drain', 'start', 'error'
+				]);
+				done();
+			});
+
+			q.add(function ok() {});
+			q.add(function fail() {
+				throw new Error('Fail');
+			});
+
+			q.start();
+		});
+	});
+
+	describe('unhandled failures', function() {
+		it('should emit the error when neither a listener nor the pledge handles it', function(done) {
+
+			var q = new FunctionQueue(),
+			    original_emit = q.emit,
+			    emitted = [];
+
+			// Emitting an error without listeners throws it
+			q.emit = function emit(type, err) {
+
+				if (type == 'error') {
+					emitted.push(err.message);
+					return;
+				}
+
+				return original_emit.apply(this, arguments);
+			};
+
+			q.add(function handled() {
+				throw new Error('Handled');
+			}).catch(function ignore() {});
+
+			q.add(function unhandled(next) {
+				next(new Error('Unhandled'));
+			});
+
+			q.on('idle', function onIdle() {
+				setTimeout(function() {
+					assert.deepEqual(emitted, ['Unhandled']);
+					done();
+				}, 5);
+			});
+
+			q.start();
+		});
+	});
+
+	describe('#getStats()', function() {
+		it('should return a snapshot of the statistics', function(done) {
+
+			var q = new FunctionQueue(),
+			    stats;
+
+			q.add(function first(next) {
+				setTimeout(next, 10);
+			});
+
+			q.add(function second() {
+				throw new Error('Fail');
+			}).catch(function ignore() {});
+
+			stats = q.getStats();
+			assert.strictEqual(stats.queued, 2);
+			assert.strictEqual(stats.running, 0);
+
+			q.start();
+
+			q.drain().then(function() {
+
+				stats = q.getStats();
+
+				assert.strictEqual(stats.queued, 0);
+				assert.strictEqual(stats.started, 2);
+				assert.strictEqual(stats.ended, 2);
+				assert.strictEqual(stats.failed, 1);
+				assert.strictEqual(stats.throughput > 0, true);
+				assert.strictEqual(stats.average_run >= 4, true);
+				assert.strictEqual(stats.average_wait >= 4, true);
+				done();
+			});
+		});
+	});
+
+	describe('new FunctionQueue(options)', function() {
+		it('should not change the default options', function() {
+
+			var q;
+
+			new FunctionQueue({sort: true, limit: 5});
+			q = new FunctionQueue();
+
+			assert.strictEqual(q.sort, false);
+			assert.strictEqual(q.limit, 1);
+		});
+	});
+
 	describe('#start()', function() {
 		it('should start the queued tasks', function(done) {
 
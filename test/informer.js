@@ -1039,4 +1039,786 @@ describe('Informer', function() {
 			assert.equal(result, 2);
 		});
 	});
-});
\ No newline at end of file
+
+	describe('addListener("pattern", listener)', function() {
+		it('should match a single segment with `*`', function() {
+
+			var tester = new Informer(),
+			    seen = [];
+
+			tester.on('model:*', function onModel(value) {
+				seen.push(this.type + '=' + value);
+			});
+
+			tester.emit('model:save', 1);
+			tester.emit('model:save:after', 2);
+			tester.emit('model', 3);
+			tester.emit({type: 'model:remove'}, 4);
+
+			assert.deepEqual(seen, ['model:save=1', 'model:remove=4']);
+		});
+
+		it('should match any number of segments with `**`', function() {
+
+			var tester = new Informer(),
+			    seen = [];
+
+			tester.on('user.**', function onUser() {
+				seen.push(this.type);
+			});
+
+			tester.on('user.name', function onName() {
+				seen.push('exact');
+			});
+
+			tester.emit('user.name');
+			tester.emit('user.address.street');
+			tester.emit('users.name');
+
+			assert.deepEqual(seen, ['exact', 'user.name', 'user.address.street']);
+		});
+
+		it('should work with once & removeListener', function() {
+
+			var tester = new Informer(),
+			    count = 0;
+
+			function onEvent() {
+				count++;
+			}
+
+			tester.once('a.*', onEvent);
+			tester.emit('a.b');
+			tester.emit('a.c');
+			assert.equal(count, 1);
+
+			tester.on('b.*', onEvent);
+			tester.emit('b.c');
+			tester.removeListener('b.*', onEvent);
+			tester.emit('b.c');
+			assert.equal(count, 2);
+
+			tester.on('c.*', onEvent);
+			tester.removeAllListeners('c.*');
+			tester.emit('c.d');
+			assert.equal(count, 2);
+		});
+
+		it('should work with after, hasBeenSeen & unsee', function() {
+
+			var tester = new Informer(),
+			    count = 0;
+
+			tester.emit('model:save');
+
+			assert.equal(tester.hasBeenSeen('model:*'), true);
+			assert.equal(tester.hasBeenSeen('user:*'), false);
+
+			tester.after('model:*', function onModel() {
+				count++;
+			});
+
+			assert.equal(count, 1);
+
+			tester.unsee('model:*');
+			assert.equal(tester.hasBeenSeen('model:save'), false);
+		});
+	});
+
+	describe('#events(type, options)', function() {
+		it('should yield the arguments of every emit', function(done) {
+
+			var tester = new Informer(),
+			    iter = tester.events('data');
+
+			if (typeof Symbol == 'function' && Symbol.asyncIterator) {
+				assert.strictEqual(iter[Symbol.asyncIterator](), iter);
+			}
+
+			tester.emit('data', 1, 2);
+
+			iter.next().then(function gotFirst(result) {
+				assert.deepEqual(result, {value: [1, 2], done: false});
+
+				iter.next().then(function gotSecond(result) {
+					assert.deepEqual(result, {value: [3], done: false});
+					done();
+				});
+
+				tester.emit('data', 3);
+			});
+		});
+
+		it('should remove the listener when returning', function(done) {
+
+			var tester = new Informer(),
+			    iter = tester.events('data'),
+			    pending = iter.next();
+
+			assert.equal(tester.listeners('data').length, 1);
+
+			iter.return().then(function returned(result) {
+				assert.deepEqual(result, {value: undefined, done: true});
+				assert.equal(tester.listeners('data').length, 0);
+
+				pending.then(function gotPending(result) {
+					assert.strictEqual(result.done, true);
+					done();
+				});
+			});
+		});
+
+		it('should limit the buffer', function(done) {
+
+			var tester = new Informer(),
+			    oldest = tester.events('data', {max_buffer: 2}),
+			    newest = tester.events('data', {max_buffer: 2, overflow: 'drop_newest'}),
+			    failing = tester.events('data', {max_buffer: 2, overflow: 'error'});
+
+			tester.emit('data', 1);
+			tester.emit('data', 2);
+			tester.emit('data', 3);
+
+			assert.strictEqual(oldest.dropped, 1);
+			assert.strictEqual(failing.done, true);
+
+			oldest.next().then(function gotOldest(result) {
+				assert.deepEqual(result.value, [2]);
+				return newest.next();
+			}).then(function gotNewest(result) {
+				assert.deepEqual(result.value, [1]);
+
+				// The buffered events are still yielded before the error
+				return failing.next();
+			}).then(function gotFirst(result) {
+				assert.deepEqual(result.value, [1]);
+				return failing.next();
+			}).then(function gotSecond() {
+				return failing.next();
+			}).then(null, function gotError(err) {
+				assert.strictEqual(err.code, 'EBUFFERFULL');
+				done();
+			});
+		});
+
+		it('should stop with an AbortError when the signal aborts', function(done) {
+
+			var listeners = [],
+			    tester = new Informer(),
+			    signal,
+			    iter;
+
+			// A minimal AbortSignal
+			signal = {
+				aborted: false,
+				addEventListener: function(type, fnc) {
+					listeners.push(fnc);
+				},
+				removeEventListener: function(type, fnc) {
+					listeners.splice(listeners.indexOf(fnc), 1);
+				}
+			};
+
+			iter = tester.events('data', {signal: signal});
+
+			iter.next().then(null, function gotError(err) {
+				assert.strictEqual(err instanceof Blast.Classes.AbortError, true);
+				assert.strictEqual(listeners.length, 0);
+				assert.equal(tester.listeners('data').length, 0);
+				done();
+			});
+
+			signal.aborted = true;
+			listeners[0]();
+		});
+	});
+
+	describe('addListener(type, listener, context, priority)', function() {
+		it('should call listeners with a higher priority first', function() {
+
+			var tester = new Informer(),
+			    order = [];
+
+			tester.on('save', function() { order.push('default'); });
+			tester.on('save', function() { order.push('high'); }, null, 10);
+			tester.on('save', function() { order.push('low'); }, null, -5);
+			tester.on('save', function() { order.push('high2'); }, null, 10);
+			tester.once('save', function() { order.push('once'); }, null, 20);
+
+			tester.emit('save');
+
+			assert.deepEqual(order, ['once', 'high', 'high2', 'default', 'low']);
+		});
+
+		it('should sort listeners of different kinds together', function() {
+
+			var tester = new Informer(),
+			    order = [];
+
+			tester.on('model:save', function() { order.push('simple'); });
+			tester.on({type: 'model:save'}, function() { order.push('filter'); }, null, 1);
+			tester.on('model:*', function() { order.push('pattern'); }, null, 2);
+
+			tester.emit({type: 'model:save'});
+
+			assert.deepEqual(order, ['pattern', 'filter', 'simple']);
+		});
+
+		it('should let a listener stop the lower priority listeners', function(done) {
+
+			var tester = new Informer(),
+			    saved = false;
+
+			tester.on('save', function save() {
+				saved = true;
+			});
+
+			tester.on('save', function validate(doc) {
+				assert.strictEqual(this.priority, 100);
+
+				if (!doc.valid) {
+					this.stop();
+				}
+			}, null, 100);
+
+			tester.emit('save', {valid: false}, function emitted(err, stopped) {
+				assert.strictEqual(stopped, true);
+				assert.strictEqual(saved, false);
+
+				tester.emit('save', {valid: true}, function emitted(err, stopped) {
+					assert.strictEqual(!!stopped, false);
+					assert.strictEqual(saved, true);
+					done();
+				});
+			});
+		});
+
+		it('should let asynchronous series listeners stop the emit', function(done) {
+
+			var tester = new Informer(),
+			    saved = false;
+
+			tester.on('save', function save() {
+				saved = true;
+			});
+
+			tester.on('save', function validate() {
+
+				var that = this,
+				    next = this.wait('series');
+
+				setTimeout(function() {
+					that.stop();
+					next();
+				}, 5);
+			}, null, 100);
+
+			tester.emit('save', function emitted(err, stopped) {
+				assert.strictEqual(stopped, true);
+				assert.strictEqual(saved, false);
+				done();
+			});
+		});
+	});
+
+	describe('#setMaxListeners(amount)', function() {
+		it('should emit a warning once when there are too many listeners', function() {
+
+			var tester = new Informer(),
+			    warnings = [];
+
+			tester.on('warning', function onWarning(warning) {
+				warnings.push(warning);
+			});
+
+			tester.setMaxListeners(2);
+			assert.strictEqual(tester.getMaxListeners(), 2);
+
+			tester.on('data', function() {});
+			tester.on({type: 'data'}, function() {});
+			assert.strictEqual(warnings.length, 0);
+
+			tester.on('data', function() {});
+			tester.on('data', function() {});
+
+			assert.strictEqual(warnings.length, 1);
+			assert.strictEqual(warnings[0].name, 'MaxListenersExceededWarning');
+			assert.strictEqual(warnings[0].type, 'data');
+			assert.strictEqual(warnings[0].count, 3);
+			assert.strictEqual(warnings[0].emitter, tester);
+			assert.strictEqual(typeof warnings[0].stack, 'string');
+		});
+
+		it('should not warn when the limit is 0', function() {
+
+			var tester = new Informer(),
+			    warned = false,
+			    i;
+
+			tester.on('warning', function onWarning() {
+				warned = true;
+			});
+
+			tester.setMaxListeners(0);
+
+			for (i = 0; i < 20; i++) {
+				tester.on('data', function() {});
+			}
+
+			assert.strictEqual(warned, false);
+		});
+
+		it('should not log anything without warning listeners', function() {
+
+			var original = console.warn,
+			    tester = new Informer(),
+			    logged = 0,
+			    i;
+
+			console.warn = function warn() {
+				logged++;
+			};
+
+			try {
+				for (i = 0; i < 20; i++) {
+					tester.on('data', function() {});
+				}
+			} finally {
+				console.warn = original;
+			}
+
+			assert.strictEqual(logged, 0);
+		});
+	});
+
+	describe('#listenerCount(type)', function() {
+		it('should count the simple and filter listeners', function() {
+
+			var tester = new Informer();
+
+			tester.on('data', function() {});
+			tester.on({type: 'data', id: 1}, function() {});
+			tester.on('other', function() {});
+			tester.on('da*', function() {});
+
+			assert.strictEqual(tester.listenerCount('data'), 2);
+			assert.strictEqual(tester.listenerCount('da*'), 1);
+			assert.strictEqual(tester.listenerCount({type: 'data', id: 2}), 2);
+			assert.strictEqual(tester.listenerCount('nothing'), 0);
+			assert.strictEqual(tester.listenerCount(), 4);
+		});
+	});
+
+	describe('#eventNames()', function() {
+		it('should return the types that have listeners', function() {
+
+			var tester = new Informer();
+
+			function fnc() {}
+
+			tester.on('data', fnc);
+			tester.on({type: 'filtered'}, fnc);
+			tester.on('model:*', fnc);
+			tester.on('removed', fnc);
+			tester.removeListener('removed', fnc);
+
+			assert.deepEqual(tester.eventNames(), ['data', 'filtered', 'model:*']);
+		});
+	});
+
+	describe('#inspectListeners(type)', function() {
+		it('should return information about the listeners', function() {
+
+			var tester = new Informer(),
+			    context = {},
+			    info;
+
+			function onData() {}
+
+			Informer.captureStacks = true;
+			tester.once('data', onData, context, 5);
+			Informer.captureStacks = false;
+
+			tester.on('other', function() {});
+
+			info = tester.inspectListeners('data');
+
+			assert.strictEqual(info.length, 1);
+			assert.strictEqual(info[0].type, 'data');
+			assert.strictEqual(info[0].listener, onData);
+			assert.strictEqual(info[0].context, context);
+			assert.strictEqual(info[0].priority, 5);
+			assert.strictEqual(info[0].stack.indexOf('test/informer.js') > -1, true);
+
+			assert.strictEqual(tester.inspectListeners()[1].stack, null);
+		});
+	});
+
+	describe('#emitCollect(type, ...args)', function() {
+		it('should resolve with the results of all listeners in order', function(done) {
+
+			var tester = new Informer();
+
+			tester.on('hook', function syncListener(value) {
+				return value + 1;
+			});
+
+			tester.on('hook', function waitListener(value) {
+				var next = this.wait('series');
+
+				setTimeout(function() {
+					next(null, value + 2);
+				}, 5);
+			});
+
+			tester.on('hook', function parallelListener(value) {
+				var next = this.wait();
+
+				setTimeout(function() {
+					next(null, value + 3);
+				}, 10);
+			});
+
+			tester.on('hook', function thenableListener(value) {
+				var pledge = new Blast.Classes.Pledge();
+
+				setTimeout(function() {
+					pledge.resolve(value + 4);
+				}, 5);
+
+				return pledge;
+			});
+
+			tester.on('hook', function priorityListener(value) {
+				return value;
+			}, null, 10);
+
+			tester.emitCollect('hook', 10).then(function gotResults(results) {
+				assert.deepEqual(results, [10, 11, 12, 13, 14]);
+				done();
+			});
+		});
+
+		it('should resolve with an empty array without listeners', function(done) {
+			new Informer().emitCollect('nothing').then(function gotResults(results) {
+				assert.deepEqual(results, []);
+				done();
+			});
+		});
+
+		it('should reject with the first error', function(done) {
+
+			var tester = new Informer(),
+			    called = false;
+
+			tester.on('hook', function() {
+				throw new Error('Fail');
+			});
+
+			tester.on('hook', function() {
+				called = true;
+			});
+
+			tester.emitCollect('hook').then(null, function gotError(err) {
+				assert.strictEqual(err.message, 'Fail');
+				assert.strictEqual(called, false);
+				done();
+			});
+		});
+
+		it('should not collect the results of stopped listeners', function(done) {
+
+			var tester = new Informer();
+
+			tester.on('hook', function() {
+				this.stop();
+				return 1;
+			});
+
+			tester.on('hook', function() {
+				return 2;
+			});
+
+			tester.emitCollect('hook').then(function gotResults(results) {
+				assert.deepEqual(results, [1]);
+				done();
+			});
+		});
+	});
+
+	describe('#emitCollectWith(options, type, ...args)', function() {
+		it('should resolve with the first result that is not undefined', function(done) {
+
+			var tester = new Informer(),
+			    called = false;
+
+			tester.on('resolve', function() {});
+
+			tester.on('resolve', function(name) {
+				return 'resolved ' + name;
+			});
+
+			tester.on('resolve', function() {
+				called = true;
+			});
+
+			tester.emitCollectWith({first: true}, 'resolve', 'x').then(function gotResult(result) {
+				assert.strictEqual(result, 'resolved x');
+				assert.strictEqual(called, false);
+				done();
+			});
+		});
+
+		it('should reduce the results', function(done) {
+
+			var tester = new Informer(),
+			    options;
+
+			options = {
+				reduce: function sum(total, value) {
+					return total + value;
+				},
+				initial: 100
+			};
+
+			tester.on('count', function() { return 1; });
+			tester.on('count', function() { return 2; });
+
+			tester.emitCollectWith(options, 'count').then(function gotResult(result) {
+				assert.strictEqual(result, 103);
+				done();
+			});
+		});
+
+		it('should aggregate the errors', function(done) {
+
+			var tester = new Informer();
+
+			tester.on('hook', function() {
+				throw new Error('First');
+			});
+
+			tester.on('hook', function() {
+				return 'ok';
+			});
+
+			tester.on('hook', function() {
+				var pledge = new Blast.Classes.Pledge();
+				pledge.reject(new Error('Second'));
+				return pledge;
+			});
+
+			tester.emitCollectWith({aggregate_errors: true}, 'hook').then(null, function gotError(err) {
+				assert.strictEqual(err.errors.length, 2);
+				assert.strictEqual(err.errors[0].message, 'First');
+				assert.strictEqual(err.errors[1].message, 'Second');
+				assert.deepEqual(err.results, ['ok']);
+				done();
+			});
+		});
+	});
+
+	describe('.setCacheMethod(key, options, method)', function() {
+
+		var CacheTester;
+
+		before(function() {
+			CacheTester = Blast.Collection.Function.inherits('Informer', function CacheTester() {
+				this.calls = 0;
+			});
+
+			CacheTester.setCacheMethod(function getValue(value, callback) {
+				this.calls++;
+				setTimeout(function() {
+					callback(null, 'value:' + value);
+				}, 1);
+			});
+
+			CacheTester.setCacheMethod('getLimited', {max_entries: 2, max_age: 20}, function getLimited(value, callback) {
+				this.calls++;
+				callback(null, value * 2);
+			});
+
+			CacheTester.setCacheMethod('getAged', {max_age: 10}, function getAged(value, callback) {
+				this.calls++;
+				callback(null, value);
+			});
+
+			CacheTester.setCacheMethod(function getFailing(value, callback) {
+				this.calls++;
+				callback(new Error('Failed ' + this.calls));
+			});
+
+			CacheTester.setCacheMethod({key: function(obj) { return obj.id; }}, function getById(obj, callback) {
+				this.calls++;
+				callback(null, obj.id);
+			});
+		});
+
+		it('should cache the results per argument', function(done) {
+
+			var tester = new CacheTester();
+
+			tester.getValue('a', function gotFirst(err, result) {
+				assert.strictEqual(result, 'value:a');
+
+				tester.getValue('a').then(function gotSecond(result) {
+					assert.strictEqual(result, 'value:a');
+					assert.strictEqual(tester.calls, 1);
+
+					tester.getValue('b').then(function gotThird(result) {
+						assert.strictEqual(result, 'value:b');
+						assert.strictEqual(tester.calls, 2);
+						done();
+					});
+				});
+			});
+
+			assert.strictEqual(tester.calls, 1);
+		});
+
+		it('should evict the least recently used entries', function() {
+
+			var tester = new CacheTester(),
+			    evicted = [];
+
+			tester.on('cacheEvicted', function onEvicted(name, key, reason) {
+				evicted.push(name + ':' + reason);
+			});
+
+			tester.getLimited(1);
+			tester.getLimited(2);
+			tester.getLimited(1);
+			tester.getLimited(3);
+
+			assert.strictEqual(tester.calls, 3);
+			assert.deepEqual(evicted, ['getLimited:size']);
+
+			// 1 was used more recently than 2
+			tester.getLimited(1);
+			assert.strictEqual(tester.calls, 3);
+
+			tester.getLimited(2);
+			assert.strictEqual(tester.calls, 4);
+		});
+
+		it('should evict expired entries', function(done) {
+
+			var tester = new CacheTester(),
+			    evicted = [];
+
+			tester.on('cacheEvicted', function onEvicted(name, key, reason) {
+				evicted.push(reason);
+			});
+
+			tester.getLimited(1);
+
+			setTimeout(function() {
+				tester.getLimited(1);
+				assert.strictEqual(tester.calls, 2);
+				assert.deepEqual(evicted, ['expired']);
+				done();
+			}, 30);
+		});
+
+		it('should only evict expired entries when they are looked up', function(done) {
+
+			var tester = new CacheTester(),
+			    evicted = [];
+
+			tester.on('cacheEvicted', function onEvicted(name, key, reason) {
+				evicted.push(reason);
+			});
+
+			tester.getAged(1);
+			tester.getAged(2);
+
+			setTimeout(function() {
+				tester.getAged(3);
+				assert.strictEqual(tester._method_cache.getAged.size, 3);
+				assert.deepEqual(evicted, []);
+
+				tester.getAged(1);
+				assert.strictEqual(tester._method_cache.getAged.size, 3);
+				assert.deepEqual(evicted, ['expired']);
+				assert.strictEqual(tester.calls, 4);
+				done();
+			}, 20);
+		});
+
+		it('should not cache errors', function(done) {
+
+			var tester = new CacheTester(),
+			    evicted = [];
+
+			tester.on('cacheEvicted', function onEvicted(name, key, reason) {
+				evicted.push(reason);
+			});
+
+			tester.getFailing(1, function gotFirst(err) {
+				assert.strictEqual(err.message, 'Failed 1');
+
+				tester.getFailing(1, function gotSecond(err) {
+					assert.strictEqual(err.message, 'Failed 2');
+					assert.deepEqual(evicted, ['error', 'error']);
+					done();
+				});
+			});
+		});
+
+		it('should use the given key function', function() {
+
+			var tester = new CacheTester();
+
+			tester.getById({id: 1, name: 'a'});
+			tester.getById({id: 1, name: 'b'});
+
+			assert.strictEqual(tester.calls, 1);
+		});
+	});
+
+	describe('#clearCache(method_name)', function() {
+		it('should clear the cached results', function() {
+
+			var CacheClearTester,
+			    evicted = 0,
+			    tester;
+
+			CacheClearTester = Blast.Collection.Function.inherits('Informer', function CacheClearTester() {
+				this.calls = 0;
+			});
+
+			CacheClearTester.setCacheMethod(function first(callback) {
+				this.calls++;
+				callback();
+			});
+
+			CacheClearTester.setCacheMethod(function second(callback) {
+				this.calls++;
+				callback();
+			});
+
+			tester = new CacheClearTester();
+
+			tester.on('cacheEvicted', function onEvicted(name, key, reason) {
+				assert.strictEqual(reason, 'clear');
+				evicted++;
+			});
+
+			tester.first();
+			tester.second();
+			tester.clearCache('first');
+			tester.first();
+			tester.second();
+
+			assert.strictEqual(tester.calls, 3);
+
+			tester.clearCache();
+			tester.first();
+			tester.second();
+
+			assert.strictEqual(tester.calls, 5);
+			assert.strictEqual(evicted, 3);
+		});
+	});
+});
@@ -0,0 +1,224 @@
+var assert = require('assert'),
+    InformerBridge,
+    Blast;
+
+/**
+ * A minimal `postMessage`-style port,
+ * which delivers copies of the messages to the other port asynchronously
+ */
+function FakePort() {
+	this.listeners = [];
+	this.other = null;
+}
+
+FakePort.prototype.on = function on(type, listener) {
+	this.listeners.push(listener);
+};
+
+FakePort.prototype.removeListener = function removeListener(type, listener) {
+
+	var index = this.listeners.indexOf(listener);
+
+	if (index > -1) {
+		this.listeners.splice(index, 1);
+	}
+};
+
+FakePort.prototype.postMessage = function postMessage(message) {
+
+	var other = this.other;
+
+	message = JSON.parse(JSON.stringify(message));
+
+	setTimeout(function deliver() {
+
+		var listeners = other.listeners.slice(0),
+		    i;
+
+		for (i = 0; i < listeners.length; i++) {
+			listeners[i](message);
+		}
+	}, 0);
+};
+
+function createChannel() {
+
+	var result = {
+		port1 : new FakePort(),
+		port2 : new FakePort()
+	};
+
+	result.port1.other = result.port2;
+	result.port2.other = result.port1;
+
+	return result;
+}
+
+describe('InformerBridge', function() {
+
+	var channel,
+	    left,
+	    right,
+	    a,
+	    b;
+
+	before(function() {
+		Blast = require('../index.js')();
+		InformerBridge = Blast.Classes.InformerBridge;
+	});
+
+	beforeEach(function() {
+		channel = createChannel();
+		a = new Informer();
+		b = new Informer();
+		left = new InformerBridge(a, channel.port1);
+		right = new InformerBridge(b, channel.port2);
+	});
+
+	afterEach(function() {
+		left.destroy();
+		right.destroy();
+	});
+
+	describe('#forward(type)', function() {
+		it('should relay the events & revive their arguments', function(done) {
+
+			left.forward(['hello', 'bye']);
+			right.forward('hello');
+
+			b.on('hello', function onHello(data) {
+				assert.strictEqual(data.date instanceof Date, true);
+				assert.strictEqual(data.date.getTime(), 0);
+				assert.strictEqual(data.name, 'test');
+				done();
+			});
+
+			a.emit('hello', {date: new Date(0), name: 'test'});
+		});
+
+		it('should not send relayed events back over the port', function(done) {
+
+			var count = 0;
+
+			left.forward('ping');
+			right.forward('ping');
+
+			a.on('ping', function onPing() {
+				count++;
+			});
+
+			a.emit('ping');
+
+			setTimeout(function() {
+				assert.strictEqual(count, 1);
+				done();
+			}, 30);
+		});
+	});
+
+	describe('#emit(type, ..., callback)', function() {
+		it('should call the callback once the other side is done', function(done) {
+
+			var log = [];
+
+			b.on('question', function onQuestion(nr) {
+
+				// Asynchronous listeners tell the emit to wait for them
+				var next = this.wait();
+
+				assert.strictEqual(nr, 41);
+				log.push('listener');
+
+				setTimeout(function finished() {
+					log.push('listener done');
+					next();
+				}, 5);
+			});
+
+			left.emit('question', 41, function onReply(err) {
+				assert.strictEqual(err, null);
+				log.push('reply');
+
+				assert.deepEqual(log, ['listener', 'listener done', 'reply']);
+				done();
+			});
+		});
+
+		it('should ignore messages of other channels', function(done) {
+
+			var c = new Informer(),
+			    sender = new InformerBridge(new Informer(), channel.port1, {channel: 'other'}),
+			    other = new InformerBridge(c, channel.port2, {channel: 'other'}),
+			    seen_b = [],
+			    seen_c = [];
+
+			b.on('message', function onMessage(from) {
+				seen_b.push(from);
+			});
+
+			c.on('message', function onMessage(from) {
+				seen_c.push(from);
+			});
+
+			left.emit('message', 'default');
+			sender.emit('message', 'other');
+
+			setTimeout(function() {
+				assert.deepEqual(seen_b, ['default']);
+				assert.deepEqual(seen_c, ['other']);
+				sender.destroy();
+				other.destroy();
+				done();
+			}, 30);
+		});
+	});
+
+	describe('#destroy()', function() {
+		it('should stop relaying events', function(done) {
+
+			var count = 0;
+
+			left.forward('hello');
+
+			b.on('hello', function onHello() {
+				count++;
+			});
+
+			right.destroy();
+			a.emit('hello');
+
+			setTimeout(function() {
+				assert.strictEqual(count, 0);
+				done();
+			}, 30);
+		});
+
+		it('should stop forwarding the events of the local informer', function(done) {
+
+			var sent = 0,
+			    post = channel.port1.postMessage;
+
+			channel.port1.postMessage = function postMessage(message) {
+				sent++;
+				return post.call(this, message);
+			};
+
+			left.forward(['hello', 'bye']);
+			a.emit('hello');
+			assert.strictEqual(sent, 1);
+
+			left.destroy();
+
+			assert.strictEqual(a.listenerCount('hello'), 0);
+			assert.strictEqual(a.listenerCount('bye'), 0);
+
+			a.emit('hello');
+			a.emit('bye');
+
+			setTimeout(function() {
+				assert.strictEqual(sent, 1);
+				done();
+			}, 30);
+		});
+	});
+});
@@ -74,4 +74,126 @@ describe('Iterator', function() {
 			assert.equal(true, iter.hasNext());
 		});
 	});
+
+	describe('map(fnc) & filter(fnc)', function() {
+		it('should only call the functions when values are needed', function() {
+
+			var calls = 0,
+			    iter;
+
+			iter = [1, 2, 3, 4, 5, 6].createIterator().map(function(value, index) {
+				calls++;
+				return value * 10 + index;
+			}).filter(function(value) {
+				return value != 21;
+			});
+
+			assert.equal(0, calls);
+			assert.equal(true, iter.hasNext());
+			assert.equal(1, calls);
+			assert.deepEqual(iter.take(2).toArray(), [10, 32]);
+			assert.equal(3, calls);
+		});
+	});
+
+	describe('take(amount), skip(amount) & takeWhile(fnc)', function() {
+		it('should limit the values', function() {
+
+			var arr = [1, 2, 3, 4, 5];
+
+			assert.deepEqual(arr.createIterator().skip(1).take(3).toArray(), [2, 3, 4]);
+			assert.deepEqual(arr.createIterator().skip(10).toArray(), []);
+			assert.deepEqual(arr.createIterator().takeWhile(function(value) {
+				return value < 4;
+			}).toArray(), [1, 2, 3]);
+		});
+	});
+
+	describe('chunk(size), zip(iterable) & flatMap(fnc)', function() {
+		it('should combine the values', function() {
+
+			var deck = new Deck();
+
+			deck.set('a', 'A');
+			deck.set('b', 'B', 200);
+
+			assert.deepEqual([1, 2, 3].createIterator().chunk(2).toArray(), [[1, 2], [3]]);
+			assert.deepEqual(deck.createIterator().zip([1, 2, 3], new Set(['x', 'y'])).toArray(), [['B', 1, 'x'], ['A', 2, 'y']]);
+			assert.deepEqual([1, 2, 3].createIterator().flatMap(function(value) {
+				return value == 2 ? [] : [value, value];
+			}).toArray(), [1, 1, 3, 3]);
+		});
+	});
+
+	describe('reduce(fnc, initial)', function() {
+		it('should reduce the values', function() {
+
+			assert.equal(6, [1, 2, 3].createIterator().reduce(function(sum, value) {
+				return sum + value;
+			}));
+
+			assert.equal('x123', [1, 2, 3].createIterator().reduce(function(str, value) {
+				return str + value;
+			}, 'x'));
+
+			assert.throws(function() {
+				[].createIterator().reduce(function() {});
+			}, TypeError);
+		});
+	});
+
+	describe('reset()', function() {
+		it('should also reset the sources of lazy iterators', function() {
+
+			var iter = ['a', 'b', 'c'].createIterator().map(function(value) {
+				return value.toUpperCase();
+			});
+
+			assert.deepEqual(iter.toArray(), ['A', 'B', 'C']);
+			assert.equal(false, iter.hasNext());
+
+			iter.reset();
+
+			assert.deepEqual(iter.toArray(), ['A', 'B', 'C']);
+		});
+	});
+
+	describe('Symbol.iterator & Symbol.asyncIterator', function() {
+		it('should follow the ES iterator protocol', function() {
+
+			var deck = new Deck(),
+			    iter;
+
+			deck.set('a', 'A');
+			deck.set('b', 'B', 200);
+
+			iter = deck[Symbol.iterator]();
+
+			assert.strictEqual(iter[Symbol.iterator](), iter);
+			assert.strictEqual(iter.next().value, 'B');
+			assert.deepEqual(Array.from(deck), ['B', 'A']);
+
+			iter = Iterator.from(new Map([['c', 'C']])).map(function(entry) {
+				return entry[1];
+			});
+
+			assert.deepEqual(Array.from(iter), ['C']);
+		});
+
+		it('should follow the ES async iterator protocol', function(done) {
+
+			var iter = [1, 2].createIterator().filter(function(value) {
+				return value != 1;
+			})[Symbol.asyncIterator]();
+
+			iter.next().then(function gotFirst(result) {
+				assert.strictEqual(result.value, 2);
+
+				iter.next().then(function gotSecond(result) {
+					assert.strictEqual(result.done, true);
+					done();
+				});
+			});
+		});
+	});
 });
\ No newline at end of file
@@ -0,0 +1,342 @@
+var assert = require('assert'),
+    Pledge,
+    Blast;
+
+describe('Pledge', function() {
+
+	before(function() {
+		Blast  = require('../index.js')();
+		Pledge = Blast.Classes.Pledge;
+	});
+
+	/**
+	 * Create a pledge that resolves after the given amount of ms
+	 */
+	function later(ms, value, reject) {
+		return new Pledge(function executor(resolve, _reject) {
+			setTimeout(function done() {
+				if (reject) {
+					_reject(value);
+				} else {
+					resolve(value);
+				}
+			}, ms);
+		});
+	}
+
+	describe('.all(iterable)', function() {
+		it('should resolve with all the values in order', function(done) {
+
+			var thenable = {
+				then: function then(on_fulfilled) {
+					on_fulfilled('c');
+				}
+			};
+
+			Pledge.all([later(10, 'a'), 'b', thenable]).then(function gotValues(values) {
+				assert.deepEqual(values, ['a', 'b', 'c']);
+				done();
+			});
+		});
+
+		it('should resolve with an empty array when given no values', function(done) {
+			Pledge.all([]).then(function gotValues(values) {
+				assert.deepEqual(values, []);
+				done();
+			});
+		});
+
+		it('should reject as soon as one of the values rejects', function(done) {
+
+			var err = new Error('Nope');
+
+			Pledge.all([later(20, 'a'), later(5, err, true)]).then(null, function gotError(reason) {
+				assert.strictEqual(reason, err);
+				done();
+			});
+		});
+
+		it('should aggregate the progress of the children', function(done) {
+
+			var first = new Pledge(),
+			    second = new Pledge(),
+			    result = Pledge.all([first, second]),
+			    seen = [];
+
+			result.on('progress', function onProgress(value) {
+				seen.push(value);
+			});
+
+			first.reportProgress(50);
+			second.reportProgress(50);
+			first.resolve(1);
+
+			assert.deepEqual(seen, [25, 50, 75]);
+
+			second.resolve(2);
+
+			result.then(function gotValues(values) {
+				assert.deepEqual(values, [1, 2]);
+				assert.strictEqual(result.progress, 100);
+				done();
+			});
+		});
+	});
+
+	describe('.race(iterable)', function() {
+		it('should settle the same way as the first settled value', function(done) {
+			Pledge.race([later(20, 'slow'), later(5, 'fast')]).then(function gotValue(value) {
+				assert.strictEqual(value, 'fast');
+
+				Pledge.race([later(20, 'slow'), later(5, 'fail', true)]).then(null, function gotError(reason) {
+					assert.strictEqual(reason, 'fail');
+					done();
+				});
+			});
+		});
+
+		it('should report the highest progress of the children', function() {
+
+			var first = new Pledge(),
+			    second = new Pledge(),
+			    result = Pledge.race([first, second]);
+
+			first.reportProgress(30);
+			second.reportProgress(60);
+			first.reportProgress(40);
+
+			assert.strictEqual(result.progress, 60);
+		});
+	});
+
+	describe('.allSettled(iterable)', function() {
+		it('should resolve with the outcome of every value', function(done) {
+
+			var err = new Error('Nope');
+
+			Pledge.allSettled([later(5, err, true), 'b']).then(function gotValues(values) {
+				assert.deepEqual(values, [
+					{status: 'rejected', reason: err},
+					{status: 'fulfilled', value: 'b'}
+				]);
+				done();
+			});
+		});
+	});
+
+	describe('.any(iterable)', function() {
+		it('should resolve with the first fulfilled value', function(done) {
+			Pledge.any([later(5, 'fail', true), later(10, 'ok')]).then(function gotValue(value) {
+				assert.strictEqual(value, 'ok');
+				done();
+			});
+		});
+
+		it('should reject with all the reasons when every value rejects', function(done) {
+			Pledge.any([later(5, 'a', true), later(1, 'b', true)]).then(null, function gotError(err) {
+				assert.deepEqual(err.errors, ['a', 'b']);
+				done();
+			});
+		});
+	});
+
+	describe('#cancel(reason)', function() {
+		it('should prevent the pledge from settling', function(done) {
+
+			var called = false,
+			    pledge = later(5, 'a');
+
+			pledge.then(function onFulfilled() {
+				called = true;
+			});
+
+			assert.strictEqual(pledge.cancel('stop'), true);
+			assert.strictEqual(pledge.state, 3);
+
+			setTimeout(function() {
+				assert.strictEqual(called, false);
+				assert.strictEqual(pledge.state, 3);
+				done();
+			}, 15);
+		});
+
+		it('should not start the executor when cancelled before it ran', function(done) {
+
+			var started = false,
+			    pledge;
+
+			pledge = new Pledge(function executor() {
+				started = true;
+			});
+
+			pledge.cancel();
+
+			setTimeout(function() {
+				assert.strictEqual(started, false);
+				done();
+			}, 5);
+		});
+
+		it('should return false for settled pledges', function() {
+
+			var pledge = new Pledge();
+
+			pledge.resolve(1);
+
+			assert.strictEqual(pledge.cancel(), false);
+			assert.strictEqual(pledge.state, 1);
+		});
+
+		it('should call the cancel handlers registered by the executor', function(done) {
+
+			var cleared = false,
+			    pledge;
+
+			pledge = new Pledge(function executor(resolve, reject, onCancel) {
+
+				var id = setTimeout(resolve, 20);
+
+				onCancel(function cancelled(reason) {
+					assert.strictEqual(reason, 'navigated');
+					clearTimeout(id);
+					cleared = true;
+				});
+			});
+
+			setTimeout(function() {
+				pledge.cancel('navigated');
+				assert.strictEqual(cleared, true);
+				done();
+			}, 5);
+		});
+
+		it('should cancel the derived pledges', function() {
+
+			var pledge = new Pledge(),
+			    derived = pledge.then(function() {}).then(function() {});
+
+			pledge.cancel();
+
+			assert.strictEqual(derived.state, 3);
+		});
+
+		it('should cancel the upstream pledge when it has no other consumers', function() {
+
+			var pledge = new Pledge(),
+			    first = pledge.then(function() {}),
+			    second = pledge.then(function() {});
+
+			first.cancel();
+			assert.strictEqual(pledge.state, 0, 'The upstream pledge still has a consumer');
+
+			second.cancel();
+			assert.strictEqual(pledge.state, 3);
+		});
+
+		it('should not call handlers of cancelled derived pledges', function() {
+
+			var pledge = new Pledge(),
+			    called = [],
+			    first,
+			    second;
+
+			first = pledge.then(function() {
+				called.push('first');
+			});
+
+			second = pledge.then(function() {
+				called.push('second');
+			});
+
+			first.cancel();
+			pledge.resolve(1);
+
+			assert.deepEqual(called, ['second']);
+		});
+
+		it('should forget the derived pledges once they settle', function() {
+
+			var pledge = new Pledge(),
+			    first = pledge.then(function() {}),
+			    second = pledge.then(function() {}),
+			    third = pledge.then(function() {}),
+			    last = third.then(function() {});
+
+			first.resolve(1);
+			assert.deepEqual(pledge._then_pledges, [second, third]);
+			assert.strictEqual(first._parent_pledge, null);
+
+			second.cancel();
+			assert.deepEqual(pledge._then_pledges, [third]);
+
+			pledge.resolve(2);
+			assert.deepEqual(pledge._then_pledges, []);
+			assert.deepEqual(third._then_pledges, []);
+			assert.strictEqual(last.state, 1);
+
+			// Pledges derived from a settled pledge aren't remembered
+			pledge.then(function() {});
+			assert.deepEqual(pledge._then_pledges, []);
+		});
+	});
+
+	describe('.delay(ms, value)', function() {
+		it('should resolve with the value after the given time', function(done) {
+
+			var start = Date.now();
+
+			Pledge.delay(15, 'value').then(function gotValue(value) {
+				assert.strictEqual(value, 'value');
+				assert.strictEqual(Date.now() - start >= 14, true, 'The pledge resolved too early');
+				done();
+			});
+		});
+
+		it('should not resolve when cancelled', function(done) {
+
+			var pledge = Pledge.delay(5, 'value');
+
+			pledge.cancel();
+
+			setTimeout(function() {
+				assert.strictEqual(pledge.state, 3);
+				done();
+			}, 15);
+		});
+	});
+
+	describe('#timeout(ms, reason)', function() {
+		it('should follow the pledge if it settles in time', function(done) {
+			later(5, 'a').timeout(50).then(function gotValue(value) {
+				assert.strictEqual(value, 'a');
+				done();
+			});
+		});
+
+		it('should reject with a TimeoutError when the deadline is reached', function(done) {
+
+			var source = later(50, 'a');
+
+			source.timeout(5, 'Too slow').then(null, function gotError(err) {
+				assert.strictEqual(err instanceof Blast.Classes.TimeoutError, true);
+				assert.strictEqual(err instanceof Error, true);
+				assert.strictEqual(err.message, 'Too slow');
+				assert.strictEqual(err.timeout, 5);
+
+				// The source had no other consumers, so it got cancelled
+				assert.strictEqual(source.state, 3);
+				done();
+			});
+		});
+
+		it('should reject with the given error', function(done) {
+
+			var err = new Error('Custom');
+
+			Pledge.delay(50).timeout(5, err).then(null, function gotError(reason) {
+				assert.strictEqual(reason, err);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,131 @@
+var assert = require('assert'),
+    libpath = require('path'),
+    fs = require('fs'),
+    os = require('os'),
+    MemoryQueueStorage,
+    FileQueueStorage,
+    Blast;
+
+describe('QueueStorage', function() {
+
+	var file_path;
+
+	before(function() {
+		Blast = require('../index.js')();
+		MemoryQueueStorage = Blast.Classes.Develry.MemoryQueueStorage;
+		FileQueueStorage = Blast.Classes.Develry.FileQueueStorage;
+		file_path = libpath.resolve(os.tmpdir(), 'protoblast_queue_' + Date.now() + '.json');
+	});
+
+	after(function() {
+		try {
+			fs.unlinkSync(file_path);
+		} catch (err) {
+			// Ignore
+		}
+	});
+
+	describe('MemoryQueueStorage#load(callback)', function() {
+		it('should return copies of the pending jobs, oldest first', function(done) {
+
+			var storage = new MemoryQueueStorage(),
+			    job = {id: 'b', name: 'task', args: '[]', options: {}, attempts: 0, created: 2};
+
+			storage.save(job);
+			storage.save({id: 'a', name: 'task', args: '[]', options: {}, attempts: 0, created: 1});
+			storage.save({id: 'c', name: 'task', args: '[]', options: {}, attempts: 0, created: 3});
+			storage.remove('c');
+
+			job.attempts = 5;
+
+			storage.load(function gotJobs(err, jobs) {
+				assert.strictEqual(err, null);
+				assert.deepEqual(jobs.map(function(job) { return job.id; }), ['a', 'b']);
+				assert.strictEqual(jobs[1].attempts, 0);
+				done();
+			});
+		});
+	});
+
+	describe('MemoryQueueStorage#deadLetter(job, callback)', function() {
+		it('should move the job to the dead letters', function(done) {
+
+			var storage = new MemoryQueueStorage(),
+			    job = {id: 'a', name: 'task', args: '[]', options: {}, attempts: 3, created: 1};
+
+			storage.save(job);
+			storage.deadLetter(job);
+
+			storage.load(function gotJobs(err, jobs) {
+				assert.deepEqual(jobs, []);
+
+				storage.getDeadLetters(function gotDead(err, jobs) {
+					assert.strictEqual(jobs.length, 1);
+					assert.strictEqual(jobs[0].attempts, 3);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('FileQueueStorage', function() {
+		it('should store the jobs in the file', function(done) {
+
+			var storage = new FileQueueStorage(file_path);
+
+			storage.save({id: 'a', name: 'task', args: '[1]', options: {}, attempts: 0, created: 1});
+			storage.save({id: 'b', name: 'task', args: '[2]', options: {}, attempts: 0, created: 2});
+			storage.deadLetter({id: 'c', name: 'task', args: '[3]', options: {}, attempts: 3, created: 3});
+			storage.remove('a', function removed(err) {
+
+				var other;
+
+				assert.strictEqual(err, null);
+
+				other = new FileQueueStorage(file_path);
+
+				other.load(function gotJobs(err, jobs) {
+					assert.strictEqual(err, null);
+					assert.deepEqual(jobs.map(function(job) { return job.id; }), ['b']);
+					assert.strictEqual(jobs[0].args, '[2]');
+
+					other.getDeadLetters(function gotDead(err, jobs) {
+						assert.strictEqual(jobs[0].id, 'c');
+						done();
+					});
+				});
+			});
+		});
+
+		it('should not bring back jobs removed before the file was read', function(done) {
+
+			var storage = new FileQueueStorage(file_path);
+
+			storage.save({id: 'd', name: 'task', args: '[4]', options: {}, attempts: 0, created: 4}, function saved(err) {
+
+				var other;
+
+				assert.strictEqual(err, null);
+
+				// Nothing has been read by this instance yet
+				other = new FileQueueStorage(file_path);
+
+				other.remove('d', function removed(err) {
+
+					assert.strictEqual(err, null);
+
+					other.load(function gotJobs(err, jobs) {
+						assert.strictEqual(err, null);
+						assert.deepEqual(jobs.map(function(job) { return job.id; }), ['b']);
+
+						new FileQueueStorage(file_path).load(function gotStored(err, jobs) {
+							assert.strictEqual(err, null);
+							assert.deepEqual(jobs.map(function(job) { return job.id; }), ['b']);
+							done();
+						});
+					});
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,98 @@
+var assert = require('assert'),
+    RateLimiter,
+    Blast;
+
+describe('RateLimiter', function() {
+
+	before(function() {
+		Blast = require('../index.js')();
+		RateLimiter = Blast.Classes.Develry.RateLimiter;
+	});
+
+	describe('#take(count)', function() {
+		it('should allow bursts up to the bucket size', function() {
+
+			var limiter = new RateLimiter({amount: 1, interval: 1000, burst: 3});
+
+			assert.strictEqual(limiter.take(), true);
+			assert.strictEqual(limiter.take(2), true);
+			assert.strictEqual(limiter.take(), false);
+			assert.strictEqual(limiter.taken, 3);
+		});
+
+		it('should refill the tokens over time', function(done) {
+
+			var limiter = new RateLimiter({amount: 1, interval: 10});
+
+			assert.strictEqual(limiter.take(), true);
+			assert.strictEqual(limiter.take(), false);
+
+			setTimeout(function() {
+				assert.strictEqual(limiter.take(), true);
+				done();
+			}, 15);
+		});
+	});
+
+	describe('#getDelay(count)', function() {
+		it('should return the time until the tokens are available', function() {
+
+			var limiter = new RateLimiter({amount: 2, interval: 1000});
+
+			assert.strictEqual(limiter.getDelay(), 0);
+
+			limiter.take(2);
+
+			assert.strictEqual(limiter.getDelay() > 480, true);
+			assert.strictEqual(limiter.getDelay() <= 500, true);
+		});
+	});
+
+	describe('#wait(fnc)', function() {
+		it('should call the functions in order when tokens are available', function(done) {
+
+			var limiter = new RateLimiter({amount: 1, interval: 5}),
+			    delays = [],
+			    result = '';
+
+			limiter.on('delayed', function onDelayed(delay) {
+				delays.push(delay);
+			});
+
+			limiter.wait(function() { result += 'a'; });
+			limiter.wait(function() { result += 'b'; });
+			limiter.wait(function() {
+				result += 'c';
+
+				assert.strictEqual(result, 'abc');
+				assert.strictEqual(delays.length > 0, true);
+				assert.deepEqual(limiter.getStats().delayed, 2);
+				done();
+			});
+
+			assert.strictEqual(result, 'a');
+			assert.strictEqual(limiter.getStats().waiting, 2);
+		});
+
+		it('should keep calling the waiting functions when one throws', function(done) {
+
+			var limiter = new RateLimiter({amount: 1, interval: 5}),
+			    errors = [],
+			    result = '';
+
+			limiter.on('error', function onError(err) {
+				errors.push(err.message);
+			});
+
+			limiter.wait(function() { result += 'a'; });
+			limiter.wait(function() { throw new Error('Fail'); });
+			limiter.wait(function() {
+				result += 'c';
+
+				assert.strictEqual(result, 'ac');
+				assert.deepEqual(errors, ['Fail']);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,754 @@
+var assert = require('assert'),
+    http = require('http'),
+    fs = require('fs'),
+    Blast;
+
+describe('Request', function() {
+
+	var server,
+	    flaky = 0,
+	    base;
+
+	before(function(done) {
+		Blast = require('../index.js')();
+
+		server = http.createServer(function onRequest(req, res) {
+
+			var match = /^\/redirect\/(\d+)(?:\/(\d+))?$/.exec(req.url);
+
+			// Redirect with the given status,
+			// optionally a number of times before going to `/echo`
+			if (match) {
+				res.writeHead(Number(match[1]), {
+					location: match[2] > 1 ? '/redirect/' + match[1] + '/' + (match[2] - 1) : '/echo'
+				});
+				return res.end();
+			}
+
+			switch (req.url) {
+				case '/cookies':
+					res.writeHead(302, {
+						location     : '/echo',
+						'set-cookie' : ['session=abc; Path=/; HttpOnly', 'other=1; Path=/nope']
+					});
+					res.end();
+					break;
+
+				case '/login':
+					// Come back once the session cookie has been set
+					if (/(^|; )login=ok/.test(req.headers.cookie || '')) {
+						res.writeHead(302, {location: '/echo'});
+					} else {
+						res.writeHead(302, {location: '/set-login'});
+					}
+					res.end();
+					break;
+
+				case '/set-login':
+					res.writeHead(302, {
+						location     : '/login',
+						'set-cookie' : 'login=ok; Path=/'
+					});
+					res.end();
+					break;
+
+				case '/loop':
+					res.writeHead(302, {location: '/loop'});
+					res.end();
+					break;
+
+				case '/cross':
+					res.writeHead(302, {location: 'http://127.0.0.1:' + server.address().port + '/echo'});
+					res.end();
+					break;
+
+				case '/json':
+					res.writeHead(200, {'content-type': 'application/json'});
+					res.end(JSON.stringify({name: 'protoblast'}));
+					break;
+
+				case '/text':
+					res.writeHead(200, {'content-type': 'text/plain'});
+					res.end('Hello wörld');
+					break;
+
+				// Fails twice before succeeding
+				case '/flaky':
+					flaky++;
+
+					if (flaky % 3) {
+						res.writeHead(503, {'content-type': 'text/plain', 'retry-after': '0'});
+						res.end('Unavailable');
+					} else {
+						res.writeHead(200, {'content-type': 'text/plain'});
+						res.end('Finally');
+					}
+					break;
+
+				// Responds with information about the request it got
+				case '/echo':
+					var chunks = [];
+
+					req.on('data', function gotData(chunk) {
+						chunks.push(chunk);
+					});
+
+					req.on('end', function ended() {
+						res.writeHead(200, {'content-type': 'application/json'});
+						res.end(JSON.stringify({
+							method  : req.method,
+							headers : req.headers,
+							body    : Buffer.concat(chunks).toString('utf-8')
+						}));
+					});
+					break;
+
+				// Sends the headers, but takes a while to send the body
+				case '/slow':
+					res.writeHead(200, {'content-type': 'text/plain'});
+					res.write('Slow');
+					setTimeout(function finish() {
+						res.end(' response');
+					}, 100);
+					break;
+
+				case '/error':
+					res.writeHead(500, {'content-type': 'text/plain'});
+					res.end('Error');
+					break;
+
+				default:
+					res.writeHead(404, {'content-type': 'text/plain'});
+					res.end('Not found');
+			}
+		});
+
+		server.listen(0, function onListening() {
+			base = 'http://localhost:' + server.address().port;
+			done();
+		});
+	});
+
+	after(function() {
+		server.close();
+	});
+
+	describe('Blast.fetch(url, options, callback)', function() {
+		it('should return a pledge that resolves with a Response', function(done) {
+			Blast.fetch(base + '/text').then(function gotResponse(res) {
+
+				assert.strictEqual(res instanceof Blast.Classes.Develry.Response, true);
+				assert.strictEqual(res.status, 200);
+				assert.strictEqual(res.ok, true);
+				assert.strictEqual(res.headers['content-type'], 'text/plain');
+
+				return res.text();
+			}).then(function gotText(text) {
+				assert.strictEqual(text, 'Hello wörld');
+				done();
+			});
+		});
+
+		it('should be able to parse the body as JSON', function(done) {
+			Blast.fetch(base + '/json').then(function gotResponse(res) {
+				return res.json();
+			}).then(function gotJson(data) {
+				assert.deepEqual(data, {name: 'protoblast'});
+				done();
+			});
+		});
+
+		it('should be able to get the body as a buffer', function(done) {
+			Blast.fetch(base + '/text').then(function gotResponse(res) {
+				return res.buffer();
+			}).then(function gotBuffer(buffer) {
+				assert.strictEqual(Buffer.isBuffer(buffer), true);
+				assert.strictEqual(buffer.toString('utf-8'), 'Hello wörld');
+				done();
+			});
+		});
+
+		it('should resolve error statuses with a response that is not ok', function(done) {
+			Blast.fetch(base + '/nothing').then(function gotResponse(res) {
+				assert.strictEqual(res.status, 404);
+				assert.strictEqual(res.ok, false);
+				done();
+			});
+		});
+
+		it('should still call the callback', function(done) {
+			Blast.fetch(base + '/json', function gotResponse(err, res, body) {
+				assert.strictEqual(err, null);
+				assert.strictEqual(res.statusCode, 200);
+				assert.deepEqual(body, {name: 'protoblast'});
+				done();
+			});
+		});
+
+		it('should reject when the request fails', function(done) {
+			Blast.fetch('http://localhost:1/').then(null, function gotError(err) {
+				assert.strictEqual(err instanceof Error, true);
+				done();
+			});
+		});
+	});
+
+	describe('#http_request(options, callback)', function() {
+		it('should retry failed requests according to the retry option', function(done) {
+
+			var req = new Blast.Classes.Develry.Request(),
+			    retries = [];
+
+			flaky = 0;
+
+			req.on('retry', function onRetry(info) {
+				retries.push(info);
+			});
+
+			req.http_request({url: base + '/flaky', retry: {attempts: 3, delay: 1}}).then(function gotResponse(res) {
+				assert.strictEqual(res.status, 200);
+				assert.strictEqual(req.retry_count, 2);
+				assert.strictEqual(retries.length, 2);
+				assert.strictEqual(retries[0].attempt, 2);
+				assert.strictEqual(retries[0].status, 503);
+
+				// The Retry-After header said not to wait
+				assert.strictEqual(retries[0].delay, 0);
+				done();
+			});
+		});
+
+		it('should give up after the maximum number of attempts', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({retry: {attempts: 2, delay: 1}});
+
+			req.http_request(base + '/error', function gotResponse(err, res) {
+				assert.strictEqual(res.statusCode, 500);
+				assert.strictEqual(!!err, true);
+				assert.strictEqual(req.retry_count, 1);
+				done();
+			});
+		});
+
+		it('should only retry other methods than GET, HEAD, OPTIONS, PUT & DELETE when allowed', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({retry: {attempts: 2, delay: 1}});
+
+			req.http_request({url: base + '/error', post: {a: 1}}, function gotResponse(err, res) {
+				assert.strictEqual(res.statusCode, 500);
+				assert.strictEqual(req.retry_count, 0);
+
+				req.http_request({url: base + '/error', post: {a: 1}, retry: {attempts: 2, delay: 1, methods: ['POST']}}, function gotResponse(err, res) {
+					assert.strictEqual(res.statusCode, 500);
+					assert.strictEqual(req.retry_count, 1);
+					done();
+				});
+			});
+		});
+
+		it('should not retry statuses that are not retryable', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			req.http_request({url: base + '/nothing', retry: true}).then(function gotResponse(res) {
+				assert.strictEqual(res.status, 404);
+				assert.strictEqual(req.retry_count, 0);
+				done();
+			});
+		});
+
+		it('should retry network errors with a retryable code', function(done) {
+
+			var req = new Blast.Classes.Develry.Request(),
+			    delays = [];
+
+			req.on('retry', function onRetry(info) {
+				assert.strictEqual(info.error.code, 'ECONNREFUSED');
+				delays.push(info.delay);
+			});
+
+			req.http_request({url: 'http://localhost:1/', retry: {attempts: 3, delay: 4, jitter: false}}).then(null, function gotError(err) {
+				assert.strictEqual(err.code, 'ECONNREFUSED');
+				assert.deepEqual(delays, [4, 8]);
+				done();
+			});
+		});
+
+		it('should fail with a TimeoutError when the deadline is reached', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({timeout: 20});
+
+			req.http_request(base + '/slow').then(null, function gotError(err) {
+				assert.strictEqual(err instanceof Blast.Classes.TimeoutError, true);
+				assert.strictEqual(err.code, 'ETIMEDOUT');
+				assert.strictEqual(err.timeout, 20);
+				done();
+			});
+		});
+
+		it('should fail when the socket is idle for too long', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			req.http_request({url: base + '/slow', idle_timeout: 20}, function gotError(err) {
+				assert.strictEqual(err instanceof Blast.Classes.TimeoutError, true);
+				assert.strictEqual(err.code, 'ESOCKETTIMEDOUT');
+				done();
+			});
+		});
+
+		it('should not time out requests that finish in time', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({timeout: 1000, idle_timeout: 500});
+
+			req.http_request(base + '/slow').then(function gotResponse(res) {
+				return res.text();
+			}).then(function gotText(text) {
+				assert.strictEqual(text, 'Slow response');
+				done();
+			});
+		});
+
+		it('should send urlencoded forms', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			req.http_request({url: base + '/echo', form: {name: 'wörld', list: [1, 2]}}, function gotResponse(err, res, body) {
+				assert.strictEqual(err, null);
+				assert.strictEqual(body.method, 'POST');
+				assert.strictEqual(body.headers['content-type'], 'application/x-www-form-urlencoded');
+				assert.strictEqual(body.body, 'name=w%C3%B6rld&list=1&list=2');
+				done();
+			});
+		});
+
+		it('should send multipart bodies with a known length', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			req.http_request({url: base + '/echo', put: true, multipart: {
+				title : 'Test',
+				file  : Buffer.from('file contents'),
+				named : {value: 'text', filename: 'a.txt', content_type: 'text/plain'}
+			}}, function gotResponse(err, res, body) {
+
+				var boundary = body.headers['content-type'].split('boundary=')[1];
+
+				assert.strictEqual(err, null);
+				assert.strictEqual(body.method, 'PUT');
+				assert.strictEqual(body.headers['content-type'].indexOf('multipart/form-data; boundary='), 0);
+				assert.strictEqual(Number(body.headers['content-length']), Buffer.byteLength(body.body));
+				assert.strictEqual(body.body, [
+					'--' + boundary,
+					'Content-Disposition: form-data; name="title"',
+					'',
+					'Test',
+					'--' + boundary,
+					'Content-Disposition: form-data; name="file"; filename="file"',
+					'Content-Type: application/octet-stream',
+					'',
+					'file contents',
+					'--' + boundary,
+					'Content-Disposition: form-data; name="named"; filename="a.txt"',
+					'Content-Type: text/plain',
+					'',
+					'text',
+					'--' + boundary + '--',
+					''
+				].join('\r\n'));
+				done();
+			});
+		});
+
+		it('should stream files using chunked transfer encoding', function(done) {
+
+			var req = new Blast.Classes.Develry.Request(),
+			    stream = fs.createReadStream(__filename);
+
+			req.http_request({url: base + '/echo', multipart: {file: stream}}, function gotResponse(err, res, body) {
+				assert.strictEqual(err, null);
+				assert.strictEqual(body.headers['transfer-encoding'], 'chunked');
+				assert.strictEqual(body.headers['content-length'], undefined);
+				assert.strictEqual(body.body.indexOf('filename="request.js"') > -1, true);
+				assert.strictEqual(body.body.indexOf(fs.readFileSync(__filename, 'utf-8')) > -1, true);
+				done();
+			});
+		});
+
+		it('should keep the method and body for 307 & 308 redirects', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			req.http_request({url: base + '/redirect/307', post: {a: 1}}).then(function gotResponse(res) {
+
+				assert.strictEqual(res.redirected, true);
+				assert.deepEqual(res.redirects, [{
+					url      : base + '/redirect/307',
+					method   : 'POST',
+					status   : 307,
+					location : base + '/echo'
+				}]);
+
+				return res.json();
+			}).then(function gotBody(body) {
+				assert.strictEqual(body.method, 'POST');
+				assert.strictEqual(body.body, '{"a":1}');
+				assert.strictEqual(body.headers.referer, base + '/redirect/307');
+				assert.strictEqual(body.headers.referrer, undefined);
+				done();
+			});
+		});
+
+		it('should continue with a GET request after a 303 redirect', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			req.http_request({url: base + '/redirect/303', put: {a: 1}}, function gotResponse(err, res, body) {
+				assert.strictEqual(body.method, 'GET');
+				assert.strictEqual(body.body, '');
+				assert.strictEqual(body.headers['content-type'], undefined);
+				done();
+			});
+		});
+
+		it('should only change POST requests to GET for 301 & 302 redirects', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			req.http_request({url: base + '/redirect/302', post: {a: 1}}, function gotResponse(err, res, body) {
+				assert.strictEqual(body.method, 'GET');
+
+				req.http_request({url: base + '/redirect/301', put: {a: 1}}, function gotResponse(err, res, body) {
+					assert.strictEqual(body.method, 'PUT');
+					done();
+				});
+			});
+		});
+
+		it('should fail when following too many redirects', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({max_redirects: 2});
+
+			req.http_request(base + '/redirect/302/2', function gotResponse(err, res, body, response) {
+				assert.strictEqual(err, null);
+				assert.strictEqual(response.redirects.length, 2);
+
+				req.http_request(base + '/redirect/302/3').then(null, function gotError(err) {
+					assert.strictEqual(err.code, 'EMAXREDIRECTS');
+					assert.strictEqual(req.redirects.length, 3);
+					done();
+				});
+			});
+		});
+
+		it('should detect redirect loops', function(done) {
+			Blast.fetch(base + '/loop').then(null, function gotError(err) {
+				assert.strictEqual(err.code, 'EREDIRECTLOOP');
+				done();
+			});
+		});
+
+		it('should allow revisiting a url with new cookies', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({cookie_jar: true});
+
+			req.http_request({url: base + '/login'}).then(function gotResponse(res) {
+
+				var locations = res.redirects.map(function eachEntry(entry) {
+					return entry.location;
+				});
+
+				assert.deepEqual(locations, [
+					base + '/set-login',
+					base + '/login',
+					base + '/echo'
+				]);
+
+				// Without the cookie nothing changes, so it is a loop
+				return Blast.fetch(base + '/login');
+			}).then(null, function gotError(err) {
+				assert.strictEqual(err.code, 'EREDIRECTLOOP');
+				done();
+			});
+		});
+
+		it('should not send credentials to other origins', function(done) {
+
+			var headers = {authorization: 'Basic abc', cookie: 'a=1', 'x-custom': 'yes'};
+
+			Blast.fetch(base + '/cross', {headers: headers}, function gotResponse(err, res, body) {
+				assert.strictEqual(body.headers.authorization, undefined);
+				assert.strictEqual(body.headers.cookie, undefined);
+				assert.strictEqual(body.headers['x-custom'], 'yes');
+
+				Blast.fetch(base + '/redirect/302', {headers: headers}, function gotResponse(err, res, body) {
+					assert.strictEqual(body.headers.authorization, 'Basic abc');
+					assert.strictEqual(body.headers.cookie, 'a=1');
+					done();
+				});
+			});
+		});
+	});
+
+	describe('#start(options, callback)', function() {
+		it('should not change the given options', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({url: base + '/echo'}),
+			    options = {headers: {'x-custom': 'yes'}};
+
+			req.setHeader('x-test', 'start');
+
+			req.start(options).then(function gotResponse(res) {
+
+				assert.deepEqual(options, {headers: {'x-custom': 'yes'}});
+
+				return res.json();
+			}).then(function gotBody(body) {
+				assert.strictEqual(body.headers['x-custom'], 'yes');
+				assert.strictEqual(body.headers['x-test'], 'start');
+				done();
+			}).then(null, done);
+		});
+	});
+
+	describe('#cookie_jar', function() {
+		it('should store received cookies and send them along', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({cookie_jar: true});
+
+			req.http_request({url: base + '/cookies', headers: {cookie: 'manual=1'}}, function gotResponse(err, res, body) {
+
+				assert.strictEqual(req.cookie_jar instanceof Blast.Classes.Develry.CookieJar, true);
+
+				// The cookie was set by the redirect response
+				assert.strictEqual(body.headers.cookie, 'manual=1; session=abc');
+
+				Blast.fetch(base + '/echo', {cookie_jar: req.cookie_jar}).then(function gotResponse(res) {
+					return res.json();
+				}).then(function gotBody(body) {
+					assert.strictEqual(body.headers.cookie, 'session=abc');
+					done();
+				});
+			});
+		});
+	});
+
+	describe('#abort()', function() {
+		it('should call back with an AbortError', function(done) {
+
+			var req = new Blast.Classes.Develry.Request(),
+			    calls = 0;
+
+			req.http_request(base + '/slow', function gotError(err, res) {
+				calls++;
+				assert.strictEqual(err instanceof Blast.Classes.AbortError, true);
+				assert.strictEqual(err.code, 'ABORT_ERR');
+				assert.strictEqual(res, undefined);
+			});
+
+			setTimeout(function() {
+				assert.strictEqual(req.abort(), true);
+				assert.strictEqual(req.abort(), false);
+				assert.strictEqual(req.aborted, true);
+
+				// Wait for the socket to error, it should not call back again
+				setTimeout(function() {
+					assert.strictEqual(calls, 1);
+					done();
+				}, 20);
+			}, 20);
+		});
+
+		it('should do nothing once the request has finished', function(done) {
+
+			var req = new Blast.Classes.Develry.Request(),
+			    options = {url: base + '/echo', idle_timeout: null},
+			    aborts = 0;
+
+			req.idle_timeout = 500;
+
+			req.on('abort', function onAbort() {
+				aborts++;
+			});
+
+			req.http_request(options).then(function gotResponse(res) {
+
+				// The defaults are not added to the given options
+				assert.deepEqual(Object.keys(options), ['url', 'idle_timeout']);
+				assert.strictEqual(options.idle_timeout, null);
+
+				assert.strictEqual(req._transport, null);
+				assert.strictEqual(req.abort(), false);
+				assert.strictEqual(req.aborted, false);
+				assert.strictEqual(aborts, 0);
+				assert.strictEqual(res.status, 200);
+				done();
+			}).then(null, done);
+		});
+
+		it('should not retry aborted requests', function(done) {
+
+			var req = new Blast.Classes.Develry.Request({retry: {attempts: 5, delay: 50}}),
+			    retries = 0;
+
+			req.on('retry', function onRetry() {
+				retries++;
+			});
+
+			req.http_request(base + '/error').then(null, function gotError(err) {
+				assert.strictEqual(err.name, 'AbortError');
+				assert.strictEqual(retries, 1);
+				done();
+			});
+
+			req.once('retry', function onRetry() {
+				req.abort();
+			});
+		});
+	});
+
+	describe('XMLHttpRequest transport', function() {
+
+		var requests = [];
+
+		// A minimal XMLHttpRequest stub, the tests fire the events
+		function FakeXhr() {
+			this.headers = {};
+			this.upload = {};
+			requests.push(this);
+		}
+
+		FakeXhr.prototype.open = function open(method, url) {
+			this.method = method;
+			this.url = url;
+		};
+
+		FakeXhr.prototype.setRequestHeader = function setRequestHeader(name, value) {
+			this.headers[name] = value;
+		};
+
+		FakeXhr.prototype.getAllResponseHeaders = function getAllResponseHeaders() {
+			return this.response_headers || '';
+		};
+
+		FakeXhr.prototype.send = function send(body) {
+			this.body = body;
+		};
+
+		FakeXhr.prototype.abort = function abort() {
+			this.aborted = true;
+			this.onabort();
+		};
+
+		// Start a request like a browser would
+		function browserRequest(req, options) {
+
+			var original = global.XMLHttpRequest,
+			    pledge;
+
+			if (typeof options == 'string') {
+				options = {url: options};
+			}
+
+			// Parsing urls works differently in the browser
+			options.url = Blast.Bound.URL.parse(options.url);
+
+			global.XMLHttpRequest = FakeXhr;
+			Blast.isNode = false;
+
+			try {
+				pledge = req.http_request(options);
+			} finally {
+				Blast.isNode = true;
+				global.XMLHttpRequest = original;
+			}
+
+			return pledge;
+		}
+
+		beforeEach(function() {
+			requests.length = 0;
+		});
+
+		it('should send the request & parse the response', function(done) {
+
+			var req = new Blast.Classes.Develry.Request(),
+			    xhr;
+
+			browserRequest(req, {url: 'http://localhost/data', post: {a: 1}, headers: {cookie: 'a=1', 'x-custom': 'yes'}}).then(function gotResponse(res) {
+				assert.strictEqual(res.status, 200);
+				assert.strictEqual(res.redirected, true);
+				assert.strictEqual(res.url, 'http://localhost/moved');
+				return res.json();
+			}).then(function gotBody(body) {
+				assert.deepEqual(body, {name: 'protoblast'});
+				done();
+			}).then(null, done);
+
+			xhr = requests[0];
+
+			assert.strictEqual(xhr.method, 'POST');
+			assert.strictEqual(xhr.url, 'http://localhost/data');
+			assert.strictEqual(xhr.body, '{"a":1}');
+			assert.strictEqual(xhr.headers['x-custom'], 'yes');
+
+			// The browser doesn't allow setting cookies
+			assert.strictEqual(xhr.headers.cookie, undefined);
+
+			xhr.status = 200;
+			xhr.statusText = 'OK';
+			xhr.responseURL = 'http://localhost/moved';
+			xhr.responseText = '{"name":"protoblast"}';
+			xhr.response_headers = 'Content-Type: application/json\r\nX-Test: 1';
+			xhr.onload();
+		});
+
+		it('should reject when the browser aborts the request', function(done) {
+
+			var req = new Blast.Classes.Develry.Request(),
+			    calls = 0;
+
+			browserRequest(req, 'http://localhost/data').then(null, function gotError(err) {
+				calls++;
+				assert.strictEqual(err instanceof Blast.Classes.AbortError, true);
+
+				// Events after the abort are ignored
+				requests[0].onerror();
+
+				setTimeout(function() {
+					assert.strictEqual(calls, 1);
+					done();
+				}, 5);
+			});
+
+			requests[0].onabort();
+		});
+
+		it('should reject with a TimeoutError when the request times out', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			browserRequest(req, 'http://localhost/data').then(null, function gotError(err) {
+				assert.strictEqual(err instanceof Blast.Classes.TimeoutError, true);
+				assert.strictEqual(err.code, 'ETIMEDOUT');
+				done();
+			});
+
+			requests[0].timeout = 100;
+			requests[0].ontimeout();
+		});
+
+		it('should abort the XMLHttpRequest on #abort()', function(done) {
+
+			var req = new Blast.Classes.Develry.Request();
+
+			browserRequest(req, 'http://localhost/data').then(null, function gotError(err) {
+				assert.strictEqual(err.message, 'The request was aborted');
+				assert.strictEqual(requests[0].aborted, true);
+				done();
+			});
+
+			req.abort();
+		});
+	});
+});